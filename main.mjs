@@ -15,6 +15,7 @@ import {
   getCpuTime,
   getTerrainAt,
   getObjectById,
+  findPath,
 } from 'game/utils';
 
 import { searchPath, CostMatrix } from 'game/path-finder';
@@ -43,13 +44,27 @@ import {
   RESOURCE_ENERGY,
   TOWER_RANGE,
   TOWER_COOLDOWN,
+  TOWER_POWER_ATTACK,
+  TOWER_POWER_HEAL,
+  TOWER_POWER_REPAIR,
+  TOWER_ENERGY_COST,
+  TOWER_OPTIMAL_RANGE,
+  TOWER_FALLOFF_RANGE,
+  TOWER_FALLOFF,
+  RANGED_ATTACK_DISTANCE_RATE,
   TERRAIN_WALL,
   TERRAIN_SWAMP,
+  TERRAIN_PLAIN,
   ATTACK_POWER,
   RANGED_ATTACK_POWER,
   HEAL_POWER,
   RANGED_HEAL_POWER,
+  MAX_CREEP_SIZE,
+  BODYPART_HITS,
+  CARRY_CAPACITY,
   OK,
+  ERR_NO_PATH,
+  ERR_INVALID_ARGS,
 } from 'game/constants';
 
 import { BodyPart } from 'arena/season_2/capture_the_flag/basic';
@@ -68,53 +83,142 @@ const RETREAT_HP_RATIO         = 0.30;
 const PULLBACK_HP_RATIO        = 0.65;
 const INFLUENCE_REFRESH_TICKS  = 3;
 const ROLE_REEVAL_TICKS        = 30;
-const BODYPART_DEVIATE_RANGE   = 3;
+const BODYPART_DEVIATE_RANGE   = 3;    // max detour for a runner still racing a flag
+const BODYPART_MAX_DETOUR      = 8;    // max detour for anyone else (§10d)
+const BODYPART_MAX_DANGER      = 60;   // skip drops whose tile is costlier than this in the influence map
+const BODYPART_TRAVEL_BIAS     = 3;    // softens 1/ticks so adjacent drops don't dwarf everything
+const BODYPART_ENGAGED_RANGE   = 6;    // creeps with an enemy this close don't go shopping
 const KITE_FLEE_RANGE          = 3;
 const EMERGENCY_FLEE_RANGE     = 10;
 const MOSQUITO_DETECT_RANGE    = 12;   // scan radius for local force balance
 const MOSQUITO_FLEE_RANGE      = 5;    // start fleeing when enemies in r5
+// Engagement simulator (§4b): fight-or-flee from a few simulated ticks of the local fight.
+const ENGAGE_SIM_TICKS         = 10;   // horizon; covers closing from MOSQUITO_DETECT_RANGE
+const DISENGAGE_LOSS_RATIO     = 1.5;  // disengage when we lose 1.5× their HP fraction (and more creeps)
+// Focus scoring (§4): worth of a kill over the ticks it takes.
+const FOCUS_REACH_STEP         = 2;    // tiles our creeps close before their damage counts on a target
+const FOCUS_MEDIC_RANGE        = 4;    // enemies this close to one of our medics threaten it
+const FOCUS_CHASE_SHARE        = 0.5;  // share of the army's damage assumed on a target once it is caught
+const FOCUS_WEIGHTS = {
+  threat:      1,    // value per 100 damage/heal per tick the target puts out (threatScore)
+  healer:      0.5,  // extra value per active HEAL part of an enemy medic
+  medicThreat: 3,    // value multiplier for a target threatening one of our medics
+  retreating:  1.5,  // value multiplier for a target fleeing to heal
+  silence:     1,    // share of the threat value earned when its last weapon part breaks, not at the kill
+  approach:    0.5,  // ticks charged per tile between the army and the target
+};
 const SENTINEL_PATROL_RANGE    = 4;
+// Sentinels (§10c): guards left on owned flags while we lead on flag count.
+const SENTINEL_GUARD_RADIUS    = 10;   // enemies this close to a guarded flag are threats
+const SENTINEL_ARMY_DISTANCE   = 15;   // flags this close to the army need no guard
+const SENTINEL_ARMY_SHARE      = 4;    // at most one sentinel per 4 main-army creeps
+const SENTINEL_COVER_RANGE     = 10;   // sentinels chase threats only this close to one of our towers
+const SENTINEL_PATROL_TICKS    = 15;   // ticks spent at each patrol corner
 const TOWER_THREAT_WEIGHT      = 0.20;
 const ENEMY_THREAT_RADIUS      = 6;
-
-// Phase boundaries (ticks)
+// Pursuit (§5c): lead moving enemies instead of chasing their current tile.
+const PURSUIT_HORIZON          = 8;    // max ticks ahead an intercept is predicted
+const PURSUIT_GIVEUP_TICKS     = 6;    // ticks without closing (and no intercept) before a chase is dropped
+const PURSUIT_LEASH            = 12;   // drop chases whose intercept lies this far from the squad
+const PURSUIT_COOLDOWN         = 20;   // ticks an abandoned target is ignored by that pursuer
+const VELOCITY_SMOOTHING       = 0.5;  // EMA weight of the newest observed enemy step
+// Pull chains (§17): fast creeps tow fatigue-prone ones while the army marches.
+const PULL_CHAIN_PHASES        = new Set([1, 3]); // expand (opening) and assault (march)
+const PULL_RELEASE_RANGE       = 10;   // any enemy this close to either creep breaks the chain
+// Flag races (§5d): runners only go where they beat every enemy by a safe margin.
+const RACE_MIN_MARGIN          = 2;    // ticks we must arrive ahead of the fastest enemy
+const RACE_MIN_CLOSING         = 0.2;  // tiles/tick toward a flag that count as racing for it
+const RACE_CONTEST_RANGE       = 8;    // enemies this close contest a flag even when not heading to it
+const RACE_STICKINESS          = 3;    // ETA bonus (ticks) for a runner's current flag
+// Early warning (§9d): raiders due at an owned flag within the horizon get an answer.
+const WARNING_HORIZON          = 30;   // ticks ahead a raider's arrival raises a warning
+const WARNING_CLOSE_MARGIN     = 10;   // a warning calms once every raider ETA is past horizon + margin
+const WARNING_CLOSE_TICKS      = 5;    // and closes after staying calm this many ticks
+const GARRISON_RANGE           = 5;    // our creeps this close to the flag already defend it
+const FLAG_DEFENSE_RANGE       = 10;   // raiders this close count whatever their pace; intercepts stay inside
+const NEAR_MISS_RANGE          = 1;    // a held warning whose raider got this close was a near miss
+const RESPONDER_CANDIDATES     = 3;    // nearest creeps of each kind whose arrival is timed
+
+// Phase boundaries (ticks of a TICK_LIMIT-tick match; phaseTick() scales them to arenaInfo.ticksLimit)
 const PHASE_EXPAND_END    = 150;
 const PHASE_CONSOLIDATE   = 500;
 const PHASE_ASSAULT_END   = 1500;
 const TICK_LIMIT           = 2000;
+const PHASE_NAMES          = { 1: 'expand', 2: 'consolidate', 3: 'assault', 4: 'endgame' };
+// Consolidate: the army fights enemies this close to an owned flag, otherwise holds.
+const HOLD_ENGAGE_RANGE    = 15;
+// Consolidate: a chokepoint this close to the held flag is held instead of the flag.
+const CHOKE_HOLD_RANGE     = 8;
+// Assault: an enemy blob this close to the army must be fought before pushing flags.
+const ASSAULT_ENGAGE_RANGE = 10;
 
 // Tower charging: how full (%) a tower must be before we stop charging it
 const TOWER_CHARGE_THRESHOLD = 0.8; // 80% full → stop charging
-// Radius around a tower: if a free creep with CARRY enters this range and no
-// charger is assigned yet, ONE is assigned exclusively to that tower.
-const TOWER_ASSIGN_RADIUS    = 12;
+// Tower logistics (§10b): carriers per tower, the longest creep → container →
+// tower trip worth making, and how much threat a container tile may carry.
+const TOWER_MAX_CHARGERS     = 3;
+const LOGISTICS_MAX_TRIP     = 40;
+const LOGISTICS_MAX_DANGER   = 60; // denial containers may exceed it on tower fire the carrier can take
+const LOGISTICS_HORIZON      = 20; // ticks of tower spend planned ahead
+const DENY_RANGE             = 10; // containers this close to an enemy tower are drained first
 // Max tiles a non-retreating creep deviates to step on an uncaptured flag.
 // Kept tiny (2) so combat and advance are not disrupted.
 const FLAG_CAPTURE_RADIUS    = 2;
+// Match recorder (§18b). Off by default: when on, every tick prints one or more
+// `@R` lines with the world + our issued actions (replay with sim/replay.mjs).
+const RECORD_MATCH           = false;
+const RECORD_CHUNK_CHARS     = 1000; // max payload chars per console.log line
+// CPU governor (§18c): per-tick budget (the arena allows 50ms, 1s on tick 1)
+// and the share of it at which each cheaper mode switches on.
+const CPU_TICK_BUDGET_MS       = 50;
+const CPU_FIRST_TICK_BUDGET_MS = 1000;
+const CPU_DEGRADE_AT = { deferDiagnostics: 0.5, skipInfluence: 0.6, lowMaxOps: 0.7, reuseOrders: 0.8 };
+const CPU_EVENT_LOG            = 50;   // degradation events kept in diag
+const CPU_WARMUP_TICKS         = 5;    // no degrading while the JIT warms up
+const CPU_SUSTAIN_TICKS        = 2;    // past ticks must all have been this loaded to carry over
+const INFLUENCE_MAX_STALE      = 12;   // skipInfluence never leaves layers older than this
+const PATH_MAX_OPS             = 2000;
+const PATH_MAX_OPS_DEGRADED    = 600;
+const LOW_PRIORITY_ENEMY_RANGE = 10;   // reuseOrders only touches creeps with no enemy this close
+const CPU_REUSE_STREAK         = 3;    // replayed steps in a row before a creep plans again
 
 // ─── PERSISTENT STATE (survives across ticks) ────────────────────────────────
 const creepRoles          = new Map();  // id → role string
-const towerChargeAssigned = new Map();  // towerId → chargerCreepId
+const towerChargeAssigned = new Map();  // towerId → Set of chargerCreepIds
 const chargerToTower      = new Map();  // chargerCreepId → towerId
 const chargerState        = new Map();  // chargerCreepId → 'WITHDRAW'|'DELIVER'
+const chargerSource       = new Map();  // chargerCreepId → containerId planned for WITHDRAW
 const creepTargets        = new Map();  // creepId → target {x,y} set by commandLayer each tick
 // ONE shared focus target computed by commandLayer — all attackers prefer this enemy.
 // Concentrates burst damage to break through enemy heals.
 let globalFocusTarget  = null;
 let currentTank        = null;   // creep ID of the designated tank (absorbs enemy focus)
-let influenceMatrix    = null;
-let lastInfluenceTick  = -Infinity;
 let initialized        = false;
+let currentPhase       = 0;      // last phase seen by updatePhase() (0 = not started)
 
 // ─── OBJECTIVE STICKINESS ─────────────────────────────────────────────────────
-// Prevents oscillation: once committed to a flag, lock for STICKY_TICKS before
-// re-evaluating. Resets on flag capture/loss or if objective disappears.
-let stickyObjective    = null;   // the flag object
+// Prevents oscillation: once committed to an objective, lock for STICKY_TICKS
+// before re-evaluating. Breaks early on a much better objective, a flag
+// capture/loss, a phase change, or if the objective disappears.
+let stickyObjective    = null;   // locked flag object, or enemy cluster {x, y, anchorId, clusterSize}
 let stickySetTick      = -Infinity;
+let stickyPhase        = 0;      // phase the lock was taken in
+let stickyFlagOwner    = undefined; // locked flag's `my` at lock time
 const STICKY_TICKS     = 40;
+const STICKY_BETTER_RATIO  = 1.5; // a challenger must score 1.5× the lock to break it early
+const FLAG_OBJECTIVE_VALUE = 3;   // a flag is worth about a 3-creep enemy cluster
+const OBJECTIVE_RANGE_BIAS = 10;  // softens 1/range so the nearest objective doesn't always win
 
 // ── ENEMY VELOCITY TRACKING (for interception prediction) ────────────────────
-const enemyPrevPos = new Map(); // enemyId → {x, y} from last tick
+const enemyPrevPos = new Map(); // enemyId → {x, y, svx, svy} from last tick
+const pursuits          = new Map(); // pursuerId → {targetId, bestRange, lastClosedTick}
+const abandonedPursuits = new Map(); // "pursuerId:targetId" → tick until which the target is ignored
+const flagRaces         = new Map(); // flagId → {flag, ours, theirs, margin} for uncaptured flags (§5d)
+const pullChains        = new Map(); // fastCreepId → slowCreepId
+const towedThisTick     = new Set(); // creep ids whose MOVE slot the pull chains filled this tick
+const sentinelPosts     = new Map(); // sentinelCreepId → {flagId, prevRole}
+const sentinelAlarms    = new Map(); // flagId → tick its sentinel called for reinforcement
+const partClaims        = new Map(); // creepId → BodyPart it should pick up this tick
 
 // ─── DIAGNOSTIC / METRICS STATE ────────────────────────────────────────────────
 const diag = {
@@ -122,6 +226,31 @@ const diag = {
   spawnEvents:      [],      // {tick, body, role}
   deathEvents:      [],      // {tick, role, hp}
   flagEvents:       [],      // {tick, type:'capture'|'lose', flag}
+  phaseEvents:      [],      // {tick, from, to}
+  objectiveEvents:  [],      // {tick, reason, from:'x,y'|null, to:'x,y'} army objective (re)locks
+  pullChainsFormed: 0,
+  pullReleases:     {},      // reason → count
+  squadStats:       {},      // squadId → {kind, formed, ended, endReason, joined, lost, peak, engagedTicks}
+  pacedHolds:       0,       // creep-ticks spent waiting for the squad's laggard
+  formationTicks:   {},      // shape → ticks the formation was laid out in it
+  chokeHoldTicks:   0,       // consolidate ticks spent holding a chokepoint instead of the flag
+  pathStats:        { hits: 0, plans: 0, incomplete: 0, layerInvalidations: 0, blockedInvalidations: 0, expired: 0 },
+  cpuDegradations:  {},      // mode → ticks it was on
+  cpuEvents:        [],      // {tick, mode, ms, stage} when a mode switched on
+  reusedOrders:     0,       // creep-ticks that repeated last tick's step
+  enemyIntents:     {},      // intent → times an enemy switched to it
+  flagDefense:      { warnings: 0, held: 0, near_miss: 0, lost: 0, unwarned: 0, responses: {} },
+  sentinelPosts:    0,
+  sentinelReleases: {},      // reason → count
+  sentinelAlarms:   0,
+  partClaims:       {},      // part type → distinct drops claimed
+  overkillAvoided:  0,       // damage re-aimed off targets whose kill was already secured
+  overkillShots:    0,
+  healEffective:    0,       // planned heal that restores real or incoming damage
+  healOverheal:     0,       // planned heal beyond the patient's need
+  chargersAssigned: 0,
+  energyDelivered:  0,       // energy transferred into our towers
+  energyDenied:     0,       // energy drained from containers next to enemy towers
   actionCounts:     {},      // role → {move,attack,heal,harvest,idle}
   cpuSamples:       [],      // ns per tick
   idleTicks:        {},      // creep.id → count of idle ticks
@@ -174,11 +303,11 @@ function refreshWorldState() {
       creepRoles.delete(id);
       // Release tank designation if this was the tank
       if (currentTank === id) currentTank = null;
+      pursuits.delete(id);
+      sentinelPosts.delete(id);
+      leaveSquad(id, true);
       // Release tower charge assignment if this creep was a charger
-      const tid = chargerToTower.get(id);
-      if (tid) towerChargeAssigned.delete(tid);
-      chargerToTower.delete(id);
-      chargerState.delete(id);
+      releaseCharger(id);
     }
   }
 
@@ -204,12 +333,264 @@ function refreshWorldState() {
   myTowers     = allTowers.filter(t => t.my === true);
   enemyTowers  = allTowers.filter(t => t.my === false);
   containers   = getObjectsByPrototype(StructureContainer);
+  trackTowers();
   // Energy supply for towers is in StructureContainers near each tower.
   // Source objects require WORK to harvest (none of our creeps have WORK).
 
   bodyParts  = getObjectsByPrototype(BodyPart);
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+//  1b · TERRAIN ANALYSIS — Map geometry computed on tick 1, cached for the match
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const REGION_MIN_CLEARANCE = 3;  // tiles this far from any wall seed open-area regions
+const REGION_MIN_CORE      = 9;  // smaller open patches are absorbed by their neighbours
+const CORRIDOR_HALF_WIDTH  = 2;  // walls within this on both sides of an axis make a corridor
+const CHOKE_SEARCH_OPS     = 20000;
+
+const wallDistance = new Uint8Array(10000); // Chebyshev distance to the nearest wall or map edge
+const regionOf     = new Int16Array(10000).fill(-1);
+const chokeOf      = new Int16Array(10000).fill(-1);
+const corridor     = new Uint8Array(10000);
+const regions      = [];          // {id, size, x, y, clearance} — x,y = most open tile
+const chokepoints  = [];          // {id, x, y, width, regions: [a, b], tiles: Set<idx>}
+const flagPaths    = new Map();   // "flagId|flagId" → {path, chokes: chokepoint ids in walking order}
+const regionChokes = new Map(); // "a>b" region ids → first chokepoint walking from a to b, or null
+
+const NEIGHBOURS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+function isWallIdx(x, y) {
+  return x < 0 || x > 99 || y < 0 || y > 99 || getTerrainAt({ x, y }) === TERRAIN_WALL;
+}
+
+/** Multi-source BFS from walls (and the map edge) over 8-neighbours. */
+function computeWallDistance() {
+  const queue = [];
+  wallDistance.fill(255);
+  for (let x = 0; x < 100; x++) {
+    for (let y = 0; y < 100; y++) {
+      const idx = x * 100 + y;
+      if (isWallIdx(x, y)) { wallDistance[idx] = 0; queue.push(idx); }
+      else if (x === 0 || y === 0 || x === 99 || y === 99) { wallDistance[idx] = 1; queue.push(idx); }
+    }
+  }
+  for (let head = 0; head < queue.length; head++) {
+    const idx = queue[head];
+    const x = Math.floor(idx / 100);
+    const y = idx % 100;
+    for (const [dx, dy] of NEIGHBOURS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || nx > 99 || ny < 0 || ny > 99) continue;
+      const n = nx * 100 + ny;
+      if (wallDistance[n] <= wallDistance[idx] + 1) continue;
+      wallDistance[n] = wallDistance[idx] + 1;
+      queue.push(n);
+    }
+  }
+}
+
+/** 8-connected flood fill from `start` over tiles accepted by `accept(idx)`. */
+function floodFill(start, accept) {
+  const tiles = [start];
+  const seen = new Set(tiles);
+  for (let head = 0; head < tiles.length; head++) {
+    const x = Math.floor(tiles[head] / 100);
+    const y = tiles[head] % 100;
+    for (const [dx, dy] of NEIGHBOURS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || nx > 99 || ny < 0 || ny > 99) continue;
+      const n = nx * 100 + ny;
+      if (seen.has(n) || !accept(n)) continue;
+      seen.add(n);
+      tiles.push(n);
+    }
+  }
+  return tiles;
+}
+
+function addRegion(tiles) {
+  const id = regions.length;
+  let best = tiles[0];
+  for (const idx of tiles) {
+    regionOf[idx] = id;
+    if (wallDistance[idx] > wallDistance[best]) best = idx;
+  }
+  regions.push({ id, size: tiles.length, x: Math.floor(best / 100), y: best % 100, clearance: wallDistance[best] });
+}
+
+/**
+ * Regions: open cores (clearance ≥ REGION_MIN_CLEARANCE) flood-filled, then
+ * every other walkable tile joins the core it is nearest to by walking.
+ * Pockets no core reaches become regions of their own.
+ */
+function computeRegions() {
+  const coreTile = idx => wallDistance[idx] >= REGION_MIN_CLEARANCE;
+  const queue = [];
+  for (let idx = 0; idx < 10000; idx++) {
+    if (!coreTile(idx) || regionOf[idx] !== -1) continue;
+    const core = floodFill(idx, coreTile);
+    if (core.length < REGION_MIN_CORE) continue;
+    addRegion(core);
+    queue.push(...core);
+  }
+  for (let head = 0; head < queue.length; head++) {
+    const idx = queue[head];
+    const x = Math.floor(idx / 100);
+    const y = idx % 100;
+    for (const [dx, dy] of NEIGHBOURS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (isWallIdx(nx, ny)) continue;
+      const n = nx * 100 + ny;
+      if (regionOf[n] !== -1) continue;
+      regionOf[n] = regionOf[idx];
+      regions[regionOf[idx]].size++;
+      queue.push(n);
+    }
+  }
+  for (let idx = 0; idx < 10000; idx++) {
+    if (wallDistance[idx] === 0 || regionOf[idx] !== -1) continue;
+    addRegion(floodFill(idx, n => wallDistance[n] > 0 && regionOf[n] === -1));
+  }
+}
+
+/**
+ * Chokepoints: connected runs of tiles on the border between two regions.
+ * Position is the run's tile nearest its middle; width counts the run's tiles
+ * on one side, i.e. roughly the passage's cross-section.
+ */
+function computeChokepoints() {
+  const pairOf = new Map(); // idx → "a|b"
+  for (let idx = 0; idx < 10000; idx++) {
+    const r = regionOf[idx];
+    if (r === -1) continue;
+    const x = Math.floor(idx / 100);
+    const y = idx % 100;
+    for (const [dx, dy] of NEIGHBOURS) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (isWallIdx(nx, ny)) continue;
+      const other = regionOf[nx * 100 + ny];
+      if (other === -1 || other === r) continue;
+      pairOf.set(idx, `${Math.min(r, other)}|${Math.max(r, other)}`);
+      break;
+    }
+  }
+  for (const [idx, pair] of pairOf) {
+    if (chokeOf[idx] !== -1) continue;
+    const tiles = floodFill(idx, n => pairOf.get(n) === pair);
+    const id = chokepoints.length;
+    const mx = tiles.reduce((s, t) => s + Math.floor(t / 100), 0) / tiles.length;
+    const my = tiles.reduce((s, t) => s + t % 100, 0) / tiles.length;
+    let mid = tiles[0];
+    let midDist = Infinity;
+    for (const t of tiles) {
+      chokeOf[t] = id;
+      const d = (Math.floor(t / 100) - mx) ** 2 + (t % 100 - my) ** 2;
+      if (d < midDist) { midDist = d; mid = t; }
+    }
+    const [a, b] = pair.split('|').map(Number);
+    chokepoints.push({
+      id, x: Math.floor(mid / 100), y: mid % 100, regions: [a, b],
+      width: tiles.filter(t => regionOf[t] === a).length, tiles: new Set(tiles),
+    });
+  }
+}
+
+/** Corridor: walls within CORRIDOR_HALF_WIDTH on both sides along some axis. */
+function computeCorridors() {
+  const axes = [[1, 0], [0, 1], [1, 1], [1, -1]];
+  const wallWithin = (x, y, dx, dy) => {
+    for (let k = 1; k <= CORRIDOR_HALF_WIDTH; k++) if (isWallIdx(x + k * dx, y + k * dy)) return true;
+    return false;
+  };
+  for (let x = 0; x < 100; x++) {
+    for (let y = 0; y < 100; y++) {
+      if (wallDistance[x * 100 + y] === 0) continue;
+      if (axes.some(([dx, dy]) => wallWithin(x, y, dx, dy) && wallWithin(x, y, -dx, -dy))) corridor[x * 100 + y] = 1;
+    }
+  }
+}
+
+/** Chokepoint ids crossed by `path`, in walking order. */
+function chokesOnPath(path) {
+  const out = [];
+  for (const step of path) {
+    const c = chokeOf[step.x * 100 + step.y];
+    if (c !== -1 && out[out.length - 1] !== c) out.push(c);
+  }
+  return out;
+}
+
+function terrainPath(from, to) {
+  return searchPath(from, { pos: to, range: 0 }, { plainCost: 2, swampCost: 10, maxOps: CHOKE_SEARCH_OPS }).path;
+}
+
+/** Walking paths between every pair of flags, with the chokepoints they cross. */
+function computeFlagPaths() {
+  for (let i = 0; i < allFlags.length; i++) {
+    for (let j = i + 1; j < allFlags.length; j++) {
+      const a = allFlags[i];
+      const b = allFlags[j];
+      const path = terrainPath(a, b);
+      const entry = { path, chokes: chokesOnPath(path) };
+      flagPaths.set(`${a.id}|${b.id}`, entry);
+      flagPaths.set(`${b.id}|${a.id}`, { path: [...path].reverse(), chokes: [...entry.chokes].reverse() });
+    }
+  }
+}
+
+/** Tick-1 analysis; everything it computes is reused for the rest of the match. */
+function analyzeTerrain() {
+  computeWallDistance();
+  computeRegions();
+  computeChokepoints();
+  computeCorridors();
+  computeFlagPaths();
+  let corridorTiles = 0;
+  for (let idx = 0; idx < 10000; idx++) corridorTiles += corridor[idx];
+  console.log(`[TERRAIN T${tick}] regions=${regions.length} chokepoints=${chokepoints.length}` +
+    ` corridorTiles=${corridorTiles} flagPaths=${flagPaths.size / 2}`);
+}
+
+// ─── Queries ─────────────────────────────────────────────────────────────────
+
+function regionAt(pos) {
+  const r = regionOf[pos.x * 100 + pos.y];
+  return r === -1 ? null : regions[r];
+}
+
+function isCorridor(pos) {
+  return corridor[pos.x * 100 + pos.y] === 1;
+}
+
+function flagPath(a, b) {
+  return flagPaths.get(`${a.id}|${b.id}`) || null;
+}
+
+/**
+ * First chokepoint on the walk from `from` toward `to` (e.g. an owned flag
+ * toward the enemy cluster), or null if the way is open. Flag pairs use the
+ * cached paths; any other query is answered for the pair of regions the two
+ * points lie in, walked once between their most open tiles and kept for the match.
+ */
+function nearestChokepointBetween(from, to) {
+  const cached = from.id !== undefined && to.id !== undefined ? flagPath(from, to) : null;
+  if (cached) return cached.chokes.length > 0 ? chokepoints[cached.chokes[0]] : null;
+  const a = regionAt(from);
+  const b = regionAt(to);
+  if (!a || !b || a === b) return null;
+  const key = `${a.id}>${b.id}`;
+  if (!regionChokes.has(key)) {
+    const chokes = chokesOnPath(terrainPath(a, b));
+    regionChokes.set(key, chokes.length > 0 ? chokepoints[chokes[0]] : null);
+  }
+  return regionChokes.get(key);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 //  2 · BODY INTROSPECTION HELPERS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -290,10 +671,7 @@ function reevaluateRoles() {
   for (const id of creepRoles.keys()) {
     if (!aliveIds.has(id)) {
       creepRoles.delete(id);
-      const t2id = chargerToTower.get(id);
-      if (t2id) towerChargeAssigned.delete(t2id);
-      chargerToTower.delete(id);
-      chargerState.delete(id);
+      releaseCharger(id);
     }
   }
 
@@ -331,6 +709,10 @@ function reevaluateRoles() {
 //  4 · THREAT ASSESSMENT ENGINE
 // ═══════════════════════════════════════════════════════════════════════════════
 
+const focusDamage = new Float32Array(10000); // our damage per tick reaching each tile, during selectFocusTarget()
+const focusHeal   = new Float32Array(10000); // enemy heal per tick reaching each tile
+const focusMedic  = new Uint8Array(10000);   // tiles within FOCUS_MEDIC_RANGE of one of our medics
+
 function threatScore(enemy) {
   const atk = countActive(enemy, ATTACK);
   const rng = countActive(enemy, RANGED_ATTACK);
@@ -340,128 +722,594 @@ function threatScore(enemy) {
 }
 
 /**
- * Focus-fire target selection with kill-priority heuristic.
- * Order: kill-secured → healers → lowest HP ratio → highest threat.
+ * Hits to chew through before `enemy` stops dealing damage: damage eats the
+ * body from the front, so everything up to its last active ATTACK,
+ * RANGED_ATTACK or HEAL part — front TOUGH first of all.
+ */
+function silenceHits(enemy) {
+  let hits = 0;
+  let upToWeapon = 0;
+  for (const p of enemy.body) {
+    if (p.hits <= 0) continue;
+    hits += p.hits;
+    if (p.type === ATTACK || p.type === RANGED_ATTACK || p.type === HEAL) upToWeapon = hits;
+  }
+  return upToWeapon;
+}
+
+/**
+ * Focus-fire target: the best kill per tick spent. Each candidate's time to
+ * kill is its hits over our damage reaching its tile, at least
+ * FOCUS_CHASE_SHARE of the army's once caught, net of the enemy heal
+ * reaching it, plus the walk from `fromPos`. Its value is the damage and
+ * healing removed with it, paid out when its weapons break (silenceHits),
+ * so front TOUGH that keeps them firing lowers it; raised for an enemy
+ * medic, for threatening one of our medics and for fleeing to heal (roles
+ * and intent from §4d). Damage, heal and medic reach are stamped once into
+ * grids, so a call is linear in the creeps involved.
+ * Weights: FOCUS_WEIGHTS.
  */
 function selectFocusTarget(fromPos, eligible) {
   if (eligible.length === 0) return null;
   if (eligible.length === 1) return eligible[0];
 
-  // G09: use pre-computed myMedics instead of filtering per call
-  return eligible.slice().sort((a, b) => {
-    // 0. Enemy threatening a medic (within 4 tiles) → eliminate first
-    const aThreatsMedic = myMedics.some(m => getRange(a, m) <= 4);
-    const bThreatsMedic = myMedics.some(m => getRange(b, m) <= 4);
-    if (aThreatsMedic !== bThreatsMedic) return aThreatsMedic ? -1 : 1;
-    // 1. Kill-secured (< 100 HP)
-    const aLow = a.hits <= 100;
-    const bLow = b.hits <= 100;
-    if (aLow !== bLow) return aLow ? -1 : 1;
+  const touched = [];
+  const stamp = (grid, pos, radius, amount) => {
+    for (let x = Math.max(0, pos.x - radius); x <= Math.min(99, pos.x + radius); x++) {
+      for (let y = Math.max(0, pos.y - radius); y <= Math.min(99, pos.y + radius); y++) {
+        const idx = x * 100 + y;
+        if (grid[idx] === 0) touched.push(idx);
+        grid[idx] += amount;
+      }
+    }
+  };
+  let armyDamage = 0;
+  for (const c of myCreeps) {
+    const attack = countActive(c, ATTACK);
+    const ranged = countActive(c, RANGED_ATTACK);
+    if (attack > 0) stamp(focusDamage, c, 1 + FOCUS_REACH_STEP, attack * ATTACK_POWER);
+    if (ranged > 0) stamp(focusDamage, c, 3 + FOCUS_REACH_STEP, ranged * RANGED_ATTACK_POWER);
+    armyDamage += attack * ATTACK_POWER + ranged * RANGED_ATTACK_POWER;
+  }
+  for (const e of enemies) {
+    const heal = countActive(e, HEAL);
+    if (heal === 0) continue;
+    stamp(focusHeal, e, 3, heal * RANGED_HEAL_POWER);
+    stamp(focusHeal, e, 1, heal * (HEAL_POWER - RANGED_HEAL_POWER));
+  }
+  for (const m of myMedics) stamp(focusMedic, m, FOCUS_MEDIC_RANGE, 1);
+  const towers = myTowers.filter(t => towerReadyIn(t) === 0);
+
+  const w = FOCUS_WEIGHTS;
+  let best = null;
+  let bestScore = -Infinity;
+  for (const e of eligible) {
+    const idx = e.x * 100 + e.y;
+    let damage = focusDamage[idx];
+    for (const t of towers) damage += towerAttackPower(getRange(t, e));
+    const net = Math.max(1, Math.max(damage, armyDamage * FOCUS_CHASE_SHARE) - focusHeal[idx]);
+    const ttk = e.hits / net + w.approach * getRange(fromPos, e);
+
+    const silenced = silenceHits(e) / net + w.approach * getRange(fromPos, e);
+    const earlyPayoff = 1 - w.silence + w.silence * ttk / Math.max(1, silenced);
+    let value = 1 + w.threat * threatScore(e) / 100 * earlyPayoff;
+    if (enemyRoleOf(e) === ROLE_MEDIC) value += w.healer * countActive(e, HEAL);
+    if (focusMedic[idx] > 0) value *= w.medicThreat;
+    if (enemyIntent(e) === 'retreat') value *= w.retreating;
+
+    const score = value / Math.max(1, ttk);
+    if (score > bestScore) { best = e; bestScore = score; }
+  }
+  for (const idx of touched) focusDamage[idx] = focusHeal[idx] = focusMedic[idx] = 0;
+  return best;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  4b · ENGAGEMENT SIMULATOR — Forward-resolve a few ticks of a local fight
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const stanceCache = new Map(); // creepId → stance, valid for stanceCacheTick
+let stanceCacheTick = -1;
+
+function simUnit(creep) {
+  return {
+    x: creep.x, y: creep.y, hits: creep.hits,
+    types: creep.body.map(p => p.type),
+    tpt: ticksPerTile(creep),
+  };
+}
+
+/**
+ * Active parts of `type` at the unit's current hits. Damage eats the body from
+ * the front, so part i is alive while hits exceed the full parts behind it.
+ */
+function simActive(u, type) {
+  const n = u.types.length;
+  let count = 0;
+  for (let i = 0; i < n; i++) {
+    if (u.types[i] === type && u.hits > (n - 1 - i) * BODYPART_HITS) count++;
+  }
+  return count;
+}
+
+function simClosest(u, units) {
+  let best = null;
+  let bestRange = Infinity;
+  for (const o of units) {
+    const r = getRange(u, o);
+    if (r < bestRange) { best = o; bestRange = r; }
+  }
+  return best;
+}
+
+/** One simulated tick for `side` against `foes`: move, then queue damage/heal into `delta`. */
+function simSideTick(side, foes, t, delta) {
+  const add = (u, v) => delta.set(u, (delta.get(u) || 0) + v);
+  for (const u of side) {
+    const attack = simActive(u, ATTACK);
+    const ranged = simActive(u, RANGED_ATTACK);
+    const heal   = simActive(u, HEAL);
+
+    // Movement: fighters close to their weapon range, healers stay on the closest ally
+    const wanted = attack > 0 ? 1 : 3;
+    const anchor = (attack + ranged > 0 || side.length === 1) ? simClosest(u, foes)
+      : simClosest(u, side.filter(o => o !== u));
+    if (anchor && getRange(u, anchor) > wanted && t % u.tpt === 0) {
+      u.x += Math.sign(anchor.x - u.x);
+      u.y += Math.sign(anchor.y - u.y);
+    }
 
-    // 1b. "Unhealed" bonus: enemy with no friendly healer within range 5 is easier to kill.
-    // Prefer un-sustained targets so we can actually eliminate them despite enemy heals.
-    const aUnhealed = !enemies.some(e => e.id !== a.id && countActive(e, HEAL) > 0 && getRange(e, a) <= 5);
-    const bUnhealed = !enemies.some(e => e.id !== b.id && countActive(e, HEAL) > 0 && getRange(e, b) <= 5);
-    if (aUnhealed !== bUnhealed) return aUnhealed ? -1 : 1;
+    // Everyone focuses the weakest foe in reach (how both sides actually play)
+    const weakestIn = range => foes.filter(f => getRange(u, f) <= range)
+      .reduce((b, f) => (!b || f.hits < b.hits) ? f : b, null);
+    const melee = attack > 0 ? weakestIn(1) : null;
+    if (melee) add(melee, -attack * ATTACK_POWER);
+    const shot = ranged > 0 ? weakestIn(3) : null;
+    if (shot) add(shot, -ranged * RANGED_ATTACK_POWER);
+    if (heal > 0) {
+      const hurt = side.filter(o => o.hits < o.types.length * BODYPART_HITS && getRange(u, o) <= 3)
+        .reduce((b, o) => (!b || o.hits < b.hits) ? o : b, null);
+      if (hurt) add(hurt, heal * (getRange(u, hurt) <= 1 ? HEAL_POWER : RANGED_HEAL_POWER));
+    }
+  }
+}
 
-    // 2. Healers first (remove sustain)
-    const aH = countActive(a, HEAL) > 0;
-    const bH = countActive(b, HEAL) > 0;
-    if (aH !== bH) return aH ? -1 : 1;
+/**
+ * Resolve `ticks` ticks of both groups closing and fighting, using real part
+ * powers, active-part decay front-to-back and heals. Returns starting/ending
+ * total hits and creeps lost on each side.
+ */
+function simulateEngagement(ours, theirs, ticks = ENGAGE_SIM_TICKS) {
+  let a = ours.map(simUnit);
+  let b = theirs.map(simUnit);
+  const ourHits0   = a.reduce((s, u) => s + u.hits, 0);
+  const theirHits0 = b.reduce((s, u) => s + u.hits, 0);
+  for (let t = 0; t < ticks && a.length > 0 && b.length > 0; t++) {
+    const delta = new Map();
+    simSideTick(a, b, t, delta);
+    simSideTick(b, a, t, delta);
+    for (const [u, d] of delta) u.hits = Math.min(u.types.length * BODYPART_HITS, u.hits + d);
+    a = a.filter(u => u.hits > 0);
+    b = b.filter(u => u.hits > 0);
+  }
+  return {
+    ourHits0, theirHits0,
+    ourHits:     a.reduce((s, u) => s + u.hits, 0),
+    theirHits:   b.reduce((s, u) => s + u.hits, 0),
+    ourLosses:   ours.length - a.length,
+    theirLosses: theirs.length - b.length,
+  };
+}
 
-    // 3. Lowest HP ratio
-    const rA = a.hits / a.hitsMax;
-    const rB = b.hits / b.hitsMax;
-    if (rA !== rB) return rA - rB;
+/** Outcome verdict: 'engage' if we come out ahead, 'disengage' if clearly behind, else 'hold'. */
+function judgeEngagement(o) {
+  const ourLoss   = 1 - o.ourHits / o.ourHits0;
+  const theirLoss = 1 - o.theirHits / o.theirHits0;
+  if (o.theirLosses > o.ourLosses || theirLoss >= ourLoss) return 'engage';
+  if (o.ourLosses > o.theirLosses && ourLoss > theirLoss * DISENGAGE_LOSS_RATIO) return 'disengage';
+  return 'hold';
+}
 
-    // 4. Highest threat
-    return threatScore(b) - threatScore(a);
-  })[0];
+/** Stance of the local fight around `creep` (all creeps within MOSQUITO_DETECT_RANGE). */
+function engagementStance(creep) {
+  if (stanceCacheTick !== tick) { stanceCache.clear(); stanceCacheTick = tick; }
+  if (stanceCache.has(creep.id)) return stanceCache.get(creep.id);
+  const theirs = findInRange(creep, enemies, MOSQUITO_DETECT_RANGE);
+  const stance = theirs.length === 0 ? 'engage'
+    : judgeEngagement(simulateEngagement(findInRange(creep, myCreeps, MOSQUITO_DETECT_RANGE), theirs));
+  stanceCache.set(creep.id, stance);
+  return stance;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-//  5 · INFLUENCE MAP (CostMatrix-Based Potential Field)
+//  4c · TOWER EFFECT — Power by range and next-shot timing, for every tower
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function buildInfluenceMap() {
-  const cm = new CostMatrix();
+const TOWER_BURN_SMOOTHING = 0.1; // EMA weight of the latest tick's energy spend
+const towerTimers = new Map(); // towerId → { energy, firedAt, burn } from the last reading
 
-  // ── Enemy threat field ─────────────────────────────────
-  for (const enemy of enemies) {
-    const t = Math.max(1, threatScore(enemy));
-    for (let dx = -ENEMY_THREAT_RADIUS; dx <= ENEMY_THREAT_RADIUS; dx++) {
-      for (let dy = -ENEMY_THREAT_RADIUS; dy <= ENEMY_THREAT_RADIUS; dy++) {
-        const nx = enemy.x + dx;
-        const ny = enemy.y + dy;
-        if (nx < 0 || nx > 99 || ny < 0 || ny > 99) continue;
-        const dist = Math.max(Math.abs(dx), Math.abs(dy));
-        if (dist > ENEMY_THREAT_RADIUS) continue;
-        if (getTerrainAt({ x: nx, y: ny }) === TERRAIN_WALL) continue;
-        const penalty = Math.min(200, Math.floor(t / (dist + 1) * 0.4));
-        const base = getTerrainAt({ x: nx, y: ny }) === TERRAIN_SWAMP ? 10 : 2;
-        cm.set(nx, ny, Math.min(254, Math.max(cm.get(nx, ny), base + penalty)));
-      }
-    }
+/** Tower effect `base` at `range`: full up to TOWER_OPTIMAL_RANGE, linear falloff after. */
+function towerFalloff(base, range) {
+  if (range > TOWER_RANGE) return 0;
+  if (range <= TOWER_OPTIMAL_RANGE) return base;
+  const r = Math.min(range, TOWER_FALLOFF_RANGE);
+  const frac = TOWER_FALLOFF * (r - TOWER_OPTIMAL_RANGE) / (TOWER_FALLOFF_RANGE - TOWER_OPTIMAL_RANGE);
+  return Math.floor(base * (1 - frac));
+}
+
+function towerAttackPower(range) { return towerFalloff(TOWER_POWER_ATTACK, range); }
+function towerHealPower(range)   { return towerFalloff(TOWER_POWER_HEAL, range); }
+function towerRepairPower(range) { return towerFalloff(TOWER_POWER_REPAIR, range); }
+
+function towerEnergy(tower) {
+  return tower.store ? tower.store.getUsedCapacity(RESOURCE_ENERGY) : 0;
+}
+
+/**
+ * Record every tower's energy each tick. An energy drop of a shot's cost marks
+ * a shot, which dates the cooldown when the tower doesn't expose one; the drops
+ * also feed a smoothed burn rate (energy per tick) for logistics (§10b).
+ */
+function trackTowers() {
+  for (const tower of allTowers) {
+    const energy = towerEnergy(tower);
+    const prev = towerTimers.get(tower.id);
+    const spent = prev ? Math.max(0, prev.energy - energy) : 0;
+    towerTimers.set(tower.id, {
+      energy,
+      firedAt: spent >= TOWER_ENERGY_COST ? tick - 1 : prev ? prev.firedAt : null,
+      burn: prev ? prev.burn + TOWER_BURN_SMOOTHING * (spent - prev.burn) : 0,
+    });
   }
+}
+
+/** Ticks until `tower` can act again: 0 = this tick, Infinity = out of energy. */
+function towerReadyIn(tower) {
+  if (towerEnergy(tower) < TOWER_ENERGY_COST) return Infinity;
+  if (typeof tower.cooldown === 'number') return tower.cooldown;
+  const timer = towerTimers.get(tower.id);
+  return timer && timer.firedAt !== null ? Math.max(0, timer.firedAt + TOWER_COOLDOWN - tick) : 0;
+}
 
-  // ── Enemy tower danger zone ────────────────────────────
+/** Attack damage `pos` can take from enemy towers able to fire within `horizon` ticks. */
+function enemyTowerThreat(pos, horizon = 0) {
+  let dmg = 0;
   for (const tower of enemyTowers) {
-    const energy = tower.store ? tower.store.getUsedCapacity(RESOURCE_ENERGY) : 0;
-    if (energy <= 0) continue;
-    for (let dx = -TOWER_RANGE; dx <= TOWER_RANGE; dx++) {
-      for (let dy = -TOWER_RANGE; dy <= TOWER_RANGE; dy++) {
-        const nx = tower.x + dx;
-        const ny = tower.y + dy;
-        if (nx < 0 || nx > 99 || ny < 0 || ny > 99) continue;
-        const dist = Math.max(Math.abs(dx), Math.abs(dy));
-        if (dist > TOWER_RANGE) continue;
-        if (getTerrainAt({ x: nx, y: ny }) === TERRAIN_WALL) continue;
-        const dmg = Math.max(0, 1000 - 50 * (dist - 1));
-        const penalty = Math.min(200, Math.floor(dmg * TOWER_THREAT_WEIGHT));
-        cm.set(nx, ny, Math.min(254, Math.max(cm.get(nx, ny), penalty)));
+    if (towerReadyIn(tower) <= horizon) dmg += towerAttackPower(getRange(tower, pos));
+  }
+  return dmg;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  4d · ENEMY MODEL — Roles, history, groups and inferred intent per enemy
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ENEMY_HISTORY        = 20;   // ticks of {x, y, hits} kept per enemy
+const ENEMY_GROUP_RANGE    = 4;    // enemies this close (chained) form one group
+const INTENT_RUSH_RANGE    = 20;   // a flag this close that the enemy closes on is being rushed
+const INTENT_DEFEND_RANGE  = 6;    // loitering this close to its own flag or tower is defending
+const INTENT_KITE_RANGE    = 5;    // a ranged enemy backing off from us this close is kiting
+const INTENT_MIN_CLOSING   = 0.3;  // smoothed tiles/tick toward something that count as heading there
+const INTENT_HURT_RATIO    = 0.6;  // below this hits ratio, backing off reads as retreating to heal
+
+const enemyModel  = new Map(); // enemyId → {id, role, firstSeen, history, intent, target, since, group}
+let enemyGroups   = [];        // {id, members: enemy[], x, y, strength, intent, target}
+
+/** Role from the enemy's active parts; unarmed creeps count as runners. */
+function enemyRole(enemy) {
+  const a = countActive(enemy, ATTACK);
+  const r = countActive(enemy, RANGED_ATTACK);
+  const h = countActive(enemy, HEAL);
+  if (a + r + h === 0) return ROLE_RUNNER;
+  if (h >= a && h >= r) return ROLE_MEDIC;
+  return r >= a ? ROLE_RANGER : ROLE_VANGUARD;
+}
+
+/** Smoothed speed of `enemy` toward `pos` (negative = moving away). */
+function closingSpeed(enemy, pos) {
+  const dx = pos.x - enemy.x;
+  const dy = pos.y - enemy.y;
+  const len = Math.hypot(dx, dy);
+  if (len === 0) return 0;
+  return ((enemy._svx || 0) * dx + (enemy._svy || 0) * dy) / len;
+}
+
+/**
+ * Intent from motion, hits history and surroundings, first match wins:
+ * retreat (hurt or regaining hits, and backing off from us), kite (ranged,
+ * backing off in range), rush (closing on a flag it does not hold), defend (loitering at
+ * its own flag or tower), advance (closing on us), else hold.
+ */
+function inferIntent(enemy, role) {
+  const nearest = myCreeps.length > 0 ? findClosestByRange(enemy, myCreeps) : null;
+  const away = nearest ? closingSpeed(enemy, nearest) <= -INTENT_MIN_CLOSING : false;
+  const mending = enemy.hits < enemy.hitsMax && enemyHitsTrend(enemy) > 0;
+  if ((enemy.hits < enemy.hitsMax * INTENT_HURT_RATIO || mending) && away) return { intent: 'retreat', target: null };
+  if (role === ROLE_RANGER && away && getRange(enemy, nearest) <= INTENT_KITE_RANGE) {
+    return { intent: 'kite', target: nearest };
+  }
+  let rushed = null;
+  let bestClosing = INTENT_MIN_CLOSING;
+  for (const flag of allFlags) {
+    if (flag.my === false || getRange(enemy, flag) > INTENT_RUSH_RANGE) continue;
+    const closing = closingSpeed(enemy, flag);
+    if (closing >= bestClosing) { bestClosing = closing; rushed = flag; }
+  }
+  if (rushed) return { intent: 'rush', target: rushed };
+  const speed = Math.hypot(enemy._svx || 0, enemy._svy || 0);
+  const home = [...enemyFlags, ...enemyTowers].find(o => getRange(enemy, o) <= INTENT_DEFEND_RANGE);
+  if (home && speed < INTENT_MIN_CLOSING) return { intent: 'defend', target: home };
+  if (nearest && closingSpeed(enemy, nearest) >= INTENT_MIN_CLOSING) return { intent: 'advance', target: nearest };
+  return { intent: 'hold', target: null };
+}
+
+/** Chain enemies within ENEMY_GROUP_RANGE into groups; a group's intent is its members' most common one. */
+function groupEnemies() {
+  const groups = [];
+  const seen = new Set();
+  for (const start of enemies) {
+    if (seen.has(start.id)) continue;
+    seen.add(start.id);
+    const members = [start];
+    for (let i = 0; i < members.length; i++) {
+      for (const e of enemies) {
+        if (seen.has(e.id) || getRange(e, members[i]) > ENEMY_GROUP_RANGE) continue;
+        seen.add(e.id);
+        members.push(e);
       }
     }
+    const votes = new Map();
+    for (const e of members) {
+      const m = enemyModel.get(e.id);
+      votes.set(m.intent, (votes.get(m.intent) || 0) + 1);
+    }
+    const intent = [...votes].sort((a, b) => b[1] - a[1])[0][0];
+    const lead = members.find(e => enemyModel.get(e.id).intent === intent);
+    const group = {
+      id: groups.length + 1, members, intent, target: enemyModel.get(lead.id).target,
+      x: Math.round(members.reduce((s, e) => s + e.x, 0) / members.length),
+      y: Math.round(members.reduce((s, e) => s + e.y, 0) / members.length),
+      strength: groupStrength(members),
+    };
+    for (const e of members) enemyModel.get(e.id).group = group.id;
+    groups.push(group);
+  }
+  enemyGroups = groups;
+}
+
+/** Refresh every enemy's entry (after trackEnemyVelocity), drop the dead, regroup. */
+function updateEnemyModel() {
+  const alive = new Set();
+  for (const e of enemies) {
+    alive.add(e.id);
+    let m = enemyModel.get(e.id);
+    if (!m) {
+      m = { id: e.id, role: null, firstSeen: tick, history: [], intent: 'hold', target: null, since: tick, group: 0 };
+      enemyModel.set(e.id, m);
+    }
+    m.role = enemyRole(e);
+    m.history.push({ x: e.x, y: e.y, hits: e.hits });
+    if (m.history.length > ENEMY_HISTORY) m.history.shift();
+    const { intent, target } = inferIntent(e, m.role);
+    if (intent !== m.intent) {
+      m.since = tick;
+      diag.enemyIntents[intent] = (diag.enemyIntents[intent] || 0) + 1;
+    }
+    m.intent = intent;
+    m.target = target;
   }
+  for (const id of enemyModel.keys()) {
+    if (!alive.has(id)) enemyModel.delete(id);
+  }
+  groupEnemies();
+}
+
+/** tickLog line: roles, then groups as id:size@(x,y)/intent[→target]. */
+function enemyModelSummary() {
+  const roles = {};
+  for (const m of enemyModel.values()) roles[m.role] = (roles[m.role] || 0) + 1;
+  const groups = enemyGroups.map(g => `${g.id}:${g.members.length}@(${g.x},${g.y})/${g.intent}` +
+    (g.target ? `→(${g.target.x},${g.target.y})` : '')).join(' ');
+  return `roles=${JSON.stringify(roles)} groups=[${groups}]`;
+}
+
+// ─── Queries ─────────────────────────────────────────────────────────────────
+
+function enemyIntent(enemy) {
+  const m = enemyModel.get(enemy.id);
+  return m ? m.intent : 'hold';
+}
 
-  // ── Arena edge penalty — prevents kiting/fleeing into walls/corners ─────────
-  // Tiles within WALL_REPEL_DIST of any edge get a progressive cost penalty.
-  // This biases ALL searchPath(flee) calls toward the center of the map.
-  const WALL_REPEL_DIST = 8;
+function enemyRoleOf(enemy) {
+  const m = enemyModel.get(enemy.id);
+  return m ? m.role : enemyRole(enemy);
+}
+
+/** Hits gained (+) or lost (−) over the kept history. */
+function enemyHitsTrend(enemy) {
+  const m = enemyModel.get(enemy.id);
+  return m && m.history.length > 0 ? enemy.hits - m.history[0].hits : 0;
+}
+
+/** Groups whose intent is to rush `flag`. */
+function groupsRushing(flag) {
+  return enemyGroups.filter(g => g.intent === 'rush' && g.target && g.target.id === flag.id);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  5 · INFLUENCE MAP — Layered CostMatrix potential field, composed on demand
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Layers (one value per tile, index x * 100 + y), composed on demand into a
+// CostMatrix: static ones are built once, dynamic ones restamped only where a
+// unit moved or changed. Composition: max(threat, tower), then + edge and
+// + allies, capped at 254; a tile no layer touches stays 0 (terrain cost).
+const INFLUENCE_EDGE_DIST   = 8;    // edge repulsion band — keeps kiting/fleeing off walls/corners
+const INFLUENCE_EDGE_WEIGHT = 10;   // cost per tile of depth into the band
+const INFLUENCE_ALLY_COST   = 4;    // ally stacking avoidance
+
+/** Default composition behind pathOpts(): every layer. */
+const DEFAULT_INFLUENCE = { threat: true, tower: true, edge: true, allies: true };
+
+const terrainBase = new Uint8Array(10000); // 0 wall / 2 plain / 10 swamp
+const influenceLayers = {
+  edge:   { cells: new Uint8Array(10000), version: 0 },
+  threat: { cells: new Uint8Array(10000), version: 0, stamps: new Map(), radius: ENEMY_THREAT_RADIUS, stamp: threatStamp },
+  tower:  { cells: new Uint8Array(10000), version: 0, signature: '' },
+  allies: { cells: new Uint8Array(10000), version: 0, tiles: new Set() },
+};
+const composedInfluence = new Map(); // composition key → {versions, cm}
+let lastInfluenceTick   = -Infinity;
+
+/** Threat of `enemy` on a tile `dist` away, terrain base included (0 = none). */
+function threatStamp(enemy, dist, idx) {
+  const t = Math.max(1, threatScore(enemy));
+  return terrainBase[idx] + Math.min(200, Math.floor(t / (dist + 1) * 0.4));
+}
+
+/** Terrain base and edge band: terrain never changes, so once per match. */
+function buildStaticLayers() {
+  const edge = influenceLayers.edge;
   for (let x = 0; x < 100; x++) {
     for (let y = 0; y < 100; y++) {
-      if (getTerrainAt({ x, y }) === TERRAIN_WALL) continue;
+      const idx = x * 100 + y;
+      const terrain = getTerrainAt({ x, y });
+      if (terrain === TERRAIN_WALL) continue;
+      terrainBase[idx] = terrain === TERRAIN_SWAMP ? 10 : 2;
       const edgeDist = Math.min(x, y, 99 - x, 99 - y);
-      if (edgeDist < WALL_REPEL_DIST) {
-        const penalty = Math.floor((WALL_REPEL_DIST - edgeDist) * 10);
-        cm.set(x, y, Math.min(254, cm.get(x, y) + penalty));
+      if (edgeDist < INFLUENCE_EDGE_DIST) edge.cells[idx] = (INFLUENCE_EDGE_DIST - edgeDist) * INFLUENCE_EDGE_WEIGHT;
+    }
+  }
+  edge.version++;
+}
+
+function stampArea(x, y, radius, into) {
+  for (let nx = Math.max(0, x - radius); nx <= Math.min(99, x + radius); nx++) {
+    for (let ny = Math.max(0, y - radius); ny <= Math.min(99, y + radius); ny++) into.add(nx * 100 + ny);
+  }
+}
+
+/**
+ * Restamp a per-enemy layer (max over enemies in reach of each tile) only
+ * around enemies that appeared, vanished, moved or changed value.
+ */
+function updateStampLayer(layer, units) {
+  const dirty = new Set();
+  const seen = new Set();
+  for (const u of units) {
+    seen.add(u.id);
+    const key = `${u.x},${u.y},${u.hits},${layer.stamp(u, 0, u.x * 100 + u.y)}`;
+    const prev = layer.stamps.get(u.id);
+    if (prev && prev.key === key) continue;
+    if (prev) stampArea(prev.x, prev.y, layer.radius, dirty);
+    stampArea(u.x, u.y, layer.radius, dirty);
+    layer.stamps.set(u.id, { x: u.x, y: u.y, key });
+  }
+  for (const [id, prev] of [...layer.stamps]) {
+    if (seen.has(id)) continue;
+    stampArea(prev.x, prev.y, layer.radius, dirty);
+    layer.stamps.delete(id);
+  }
+  if (dirty.size === 0) return;
+
+  for (const idx of dirty) {
+    if (terrainBase[idx] === 0) continue;
+    const x = Math.floor(idx / 100);
+    const y = idx % 100;
+    let v = 0;
+    for (const u of units) {
+      const dist = Math.max(Math.abs(u.x - x), Math.abs(u.y - y));
+      if (dist <= layer.radius) v = Math.max(v, layer.stamp(u, dist, idx));
+    }
+    layer.cells[idx] = Math.min(254, v);
+  }
+  layer.version++;
+}
+
+/** Enemy tower danger: whole layer, but only when an armed tower set changes. */
+function updateTowerLayer() {
+  const layer = influenceLayers.tower;
+  const armed = enemyTowers.filter(t => towerReadyIn(t) !== Infinity);
+  const signature = armed.map(t => `${t.id}@${t.x},${t.y}`).join(';');
+  if (signature === layer.signature) return;
+  layer.signature = signature;
+  layer.cells.fill(0);
+  for (const tower of armed) {
+    for (let nx = Math.max(0, tower.x - TOWER_RANGE); nx <= Math.min(99, tower.x + TOWER_RANGE); nx++) {
+      for (let ny = Math.max(0, tower.y - TOWER_RANGE); ny <= Math.min(99, tower.y + TOWER_RANGE); ny++) {
+        const idx = nx * 100 + ny;
+        if (terrainBase[idx] === 0) continue;
+        const dist = Math.max(Math.abs(nx - tower.x), Math.abs(ny - tower.y));
+        const penalty = Math.min(200, Math.floor(towerAttackPower(dist) * TOWER_THREAT_WEIGHT));
+        layer.cells[idx] = Math.max(layer.cells[idx], penalty);
       }
     }
   }
+  layer.version++;
+}
 
-  // ── Ally stacking avoidance ────────────────────────────
-  for (const ally of myCreeps) {
-    const cur = cm.get(ally.x, ally.y);
-    cm.set(ally.x, ally.y, Math.min(254, cur + 4));
+function updateAllyLayer() {
+  const layer = influenceLayers.allies;
+  const tiles = new Set(myCreeps.map(c => c.x * 100 + c.y));
+  let changed = false;
+  for (const idx of layer.tiles) {
+    if (!tiles.has(idx)) { layer.cells[idx] = 0; changed = true; }
+  }
+  for (const idx of tiles) {
+    if (!layer.tiles.has(idx)) { layer.cells[idx] = INFLUENCE_ALLY_COST; changed = true; }
   }
+  layer.tiles = tiles;
+  if (changed) layer.version++;
+}
 
-  influenceMatrix   = cm;
+/** Bring the dynamic layers up to date, every INFLUENCE_REFRESH_TICKS (CPU permitting, §18c). */
+function updateInfluenceLayers() {
+  if (tick - lastInfluenceTick < INFLUENCE_REFRESH_TICKS) return;
+  if (tick - lastInfluenceTick < INFLUENCE_MAX_STALE && cpuMode('skipInfluence')) return;
   lastInfluenceTick = tick;
+  updateStampLayer(influenceLayers.threat, enemies);
+  updateTowerLayer();
+  updateAllyLayer();
 }
 
-function getInfluenceMap() {
-  if (!influenceMatrix || tick - lastInfluenceTick >= INFLUENCE_REFRESH_TICKS) {
-    buildInfluenceMap();
+/**
+ * CostMatrix from a chosen set of layers, e.g. { threat: true, tower: true }
+ * for "threat but no ally stacking". Cached until one of its layers changes.
+ */
+function composeInfluence(layers = DEFAULT_INFLUENCE) {
+  const names = Object.keys(influenceLayers).filter(n => layers[n]);
+  const key = compositionKey(layers);
+  const versions = names.map(n => influenceLayers[n].version).join(',');
+  const cached = composedInfluence.get(key);
+  if (cached && cached.versions === versions) return cached.cm;
+
+  const maxed = names.filter(n => n === 'threat' || n === 'tower').map(n => influenceLayers[n].cells);
+  const added = names.filter(n => n === 'edge' || n === 'allies').map(n => influenceLayers[n].cells);
+  const cm = new CostMatrix();
+  for (let idx = 0; idx < 10000; idx++) {
+    let v = 0;
+    for (const cells of maxed) if (cells[idx] > v) v = cells[idx];
+    for (const cells of added) v += cells[idx];
+    if (v > 0) cm.set(Math.floor(idx / 100), idx % 100, Math.min(254, v));
   }
-  return influenceMatrix;
+  composedInfluence.set(key, { versions, cm });
+  return cm;
+}
+
+/** Name of a layer composition, e.g. "threat+tower"; keys composed matrices and path trees. */
+function compositionKey(layers) {
+  return Object.keys(influenceLayers).filter(n => layers[n]).join('+');
 }
 
-function pathOpts(flee = false) {
+/** Influence-aware path options; `layers` picks a custom composition (see composeInfluence). */
+function pathOpts(flee = false, layers = DEFAULT_INFLUENCE) {
   return {
-    costMatrix: getInfluenceMap(),
+    costMatrix: composeInfluence(layers),
+    composition: compositionKey(layers),
     flee,
     plainCost: 2,
     swampCost: 10,
-    maxOps: 2000,
+    maxOps: pathMaxOps(),
   };
 }
 
@@ -474,10 +1322,56 @@ function aggressivePathOpts() {
   return {
     plainCost: 2,
     swampCost: 10,
-    maxOps: 2000,
+    maxOps: pathMaxOps(),
   };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+//  5a · MOVEMENT MODEL — Ticks per tile by terrain, from body fatigue
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Fatigue each weighted part generates per step (plain / swamp); every MOVE
+// part removes FATIGUE_PER_MOVE per tick.
+const PLAIN_FATIGUE    = 2;
+const SWAMP_FATIGUE    = 10;
+const FATIGUE_PER_MOVE = 2;
+
+function stepFatigue(weight, terrain) {
+  return weight * (terrain === TERRAIN_SWAMP ? SWAMP_FATIGUE : PLAIN_FATIGUE);
+}
+
+/** Parts that generate fatigue when moving: all but MOVE, and CARRY only while loaded. */
+function moveWeight(creep) {
+  const loaded = creep.store ? Math.ceil((creep.store.getUsedCapacity(RESOURCE_ENERGY) || 0) / CARRY_CAPACITY) : 0;
+  let weight = 0;
+  let carry = 0;
+  for (const p of creep.body) {
+    if (p.type === MOVE) continue;
+    if (p.type === CARRY) { if (carry++ < loaded) weight++; continue; }
+    weight++;
+  }
+  return weight;
+}
+
+/** Ticks per tile on `terrain` at the creep's MOVE ratio (Infinity if it cannot move). */
+function ticksPerTile(creep, terrain = TERRAIN_PLAIN) {
+  const move = countActive(creep, MOVE);
+  if (move === 0) return Infinity;
+  return Math.max(1, Math.ceil(stepFatigue(moveWeight(creep), terrain) / (FATIGUE_PER_MOVE * move)));
+}
+
+/** Ticks until the creep's current fatigue has drained and it can step again. */
+function fatigueWait(creep) {
+  if (!creep.fatigue) return 0;
+  const move = countActive(creep, MOVE);
+  return move === 0 ? Infinity : Math.ceil(creep.fatigue / (FATIGUE_PER_MOVE * move));
+}
+
+/** Ticks per tile for the creep on the terrain it stands on. */
+function localTicksPerTile(creep) {
+  return ticksPerTile(creep, getTerrainAt(creep));
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 //  5b · MICRO MOVEMENT HELPERS — O(1), no pathfinding
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -493,7 +1387,7 @@ function moveToward(creep, target) {
       getTerrainAt({ x: nx, y: ny }) !== TERRAIN_WALL) {
     creep.move(getDirection(dx, dy));
   } else {
-    creep.moveTo(target);
+    travel(creep, target);
   }
 }
 
@@ -526,7 +1420,10 @@ function precomputeRoleLists() {
   myRunners   = myCreeps.filter(c => creepRoles.get(c.id) === ROLE_RUNNER);
 }
 
-/** Track enemy velocity vectors for interception prediction. */
+/**
+ * Track enemy velocity vectors for interception prediction.
+ * _vx/_vy = last step, _svx/_svy = EMA over steps (slow creeps alternate 0/1).
+ */
 function trackEnemyVelocity() {
   for (const e of enemies) {
     const prev = enemyPrevPos.get(e.id);
@@ -535,12 +1432,15 @@ function trackEnemyVelocity() {
       e._vy = e.y - prev.y;
       e._px = Math.max(0, Math.min(99, e.x + e._vx));
       e._py = Math.max(0, Math.min(99, e.y + e._vy));
+      e._svx = prev.svx + VELOCITY_SMOOTHING * (e._vx - prev.svx);
+      e._svy = prev.svy + VELOCITY_SMOOTHING * (e._vy - prev.svy);
     } else {
       e._vx = e._vy = 0;
       e._px = e.x;
       e._py = e.y;
+      e._svx = e._svy = 0;
     }
-    enemyPrevPos.set(e.id, { x: e.x, y: e.y });
+    enemyPrevPos.set(e.id, { x: e.x, y: e.y, svx: e._svx, svy: e._svy });
   }
   // Cleanup dead enemies
   const aliveEnemyIds = new Set(enemies.map(e => e.id));
@@ -555,77 +1455,336 @@ function trackEnemyVelocity() {
  * Returns 'attack' if action taken, null otherwise.
  */
 function bestRangedAction(creep, focusTarget) {
-  const inR1 = findInRange(creep, enemies, 1);
   const inR3 = findInRange(creep, enemies, 3);
   if (inR3.length === 0) return null;
+  const N = countActive(creep, RANGED_ATTACK);
+  if (N === 0) return null;
+
+  // Mass vs focused decision counts only enemies not already killed this tick
+  // (damage ledger, §10e); if all are, fall back to everything in range.
+  const live = inR3.filter(e => !killSecured(e));
+  const pool = live.length > 0 ? live : inR3;
+  const massDamage = e => Math.floor(N * RANGED_ATTACK_POWER * RANGED_ATTACK_DISTANCE_RATE[getRange(creep, e)]);
+  const inR1 = pool.filter(e => getRange(creep, e) <= 1);
+  const massTotal = pool.reduce((sum, e) => sum + massDamage(e), 0);
+  const focusedTotal = N * RANGED_ATTACK_POWER;
 
   // ≥2 enemies at r1 → mass is strictly better (2× DPS total)
-  if (inR1.length >= 2) {
+  if (inR1.length >= 2 || massTotal > focusedTotal * 1.5) {
     creep.rangedMassAttack();
+    for (const e of inR3) commitDamage(e, massDamage(e));
     return 'attack';
   }
 
-  // Calculate mass total vs focused damage
-  const N = countActive(creep, RANGED_ATTACK);
-  if (N === 0) return null;
-  const inR2 = findInRange(creep, enemies, 2);
-  const massTotal = inR1.length * 10 * N
-    + (inR2.length - inR1.length) * 4 * N
-    + (inR3.length - inR2.length) * 1 * N;
-  const focusedTotal = 10 * N;
-
-  if (massTotal > focusedTotal * 1.5) {
-    creep.rangedMassAttack();
-  } else {
-    const t = (focusTarget && inR3.some(e => e.id === focusTarget.id))
-      ? focusTarget
-      : (inR3.length === 1 ? inR3[0] : inR3.reduce((b, c) => c.hits < b.hits ? c : b));
-    if (t) creep.rangedAttack(t);
-    else return null;
-  }
+  const preferred = (focusTarget && inR3.some(e => e.id === focusTarget.id))
+    ? focusTarget
+    : (inR3.length === 1 ? inR3[0] : inR3.reduce((b, c) => c.hits < b.hits ? c : b));
+  const t = ledgerTarget(inR3, preferred, focusedTotal);
+  if (!t) return null;
+  creep.rangedAttack(t);
+  commitDamage(t, focusedTotal);
   return 'attack';
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-//  6 · PHASE CONTROLLER
+//  5c · PURSUIT — Lead moving enemies using observed velocity
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function getPhase() {
-  if (tick <= PHASE_EXPAND_END)  return 1;
-  if (tick <= PHASE_CONSOLIDATE) return 2;
-  if (tick <= PHASE_ASSAULT_END) return 3;
-  return 4;
+/**
+ * Predicted tile of `enemy` after `t` ticks: smoothed heading, capped at the
+ * speed its body allows, starting once its current fatigue has drained.
+ */
+function predictEnemyPos(enemy, t) {
+  const tpt = ticksPerTile(enemy);
+  if (tpt === Infinity) return { x: enemy.x, y: enemy.y };
+  const maxSpeed = 1 / tpt;
+  const moving = Math.max(0, t - fatigueWait(enemy));
+  const vx = Math.max(-maxSpeed, Math.min(maxSpeed, enemy._svx || 0));
+  const vy = Math.max(-maxSpeed, Math.min(maxSpeed, enemy._svy || 0));
+  return {
+    x: Math.max(0, Math.min(99, Math.round(enemy.x + vx * moving))),
+    y: Math.max(0, Math.min(99, Math.round(enemy.y + vy * moving))),
+  };
 }
 
-function myFlagCount()    { return allFlags.filter(f => f.my === true).length; }
-function enemyFlagCount() { return allFlags.filter(f => f.my === false).length; }
-
-// ═══════════════════════════════════════════════════════════════════════════════
-//  7 · RETREAT PROTOCOL (Behavior Layer 5)
-// ═══════════════════════════════════════════════════════════════════════════════
+/**
+ * Earliest predicted tile of `target` that `pursuer` can reach to within
+ * `range` inside PURSUIT_HORIZON ticks, or null if none.
+ */
+function interceptPoint(pursuer, target, range = 1) {
+  const tpt = ticksPerTile(pursuer);
+  if (tpt === Infinity) return null;
+  for (let t = 1; t <= PURSUIT_HORIZON; t++) {
+    const p = predictEnemyPos(target, t);
+    if (getRange(pursuer, p) - range <= Math.floor(t / tpt)) return p;
+  }
+  return null;
+}
 
-function shouldRetreat(creep) {
-  if (creep.hits >= creep.hitsMax * RETREAT_HP_RATIO) return false;
-  // Theory §6.1: Vanguards NEVER retreat — they fight to death.
-  // Retreating removes melee DPS (180→0), exposes medics, and the retreat code
-  // in doCombatAction replaces attack() with heal(self) → complete DPS loss.
-  // "melhor morrer lutando"
-  const role = creepRoles.get(creep.id);
-  if (role === ROLE_VANGUARD) return false;
-  // Only retreat if medics are alive to heal us at the rally point.
-  // With no medics, retreating to myFlag is permanent — the creep idles forever
-  // because HP never recovers. Better to hold and deal damage.
-  return myMedics.length > 0;
+function pursuitAbandoned(pursuer, target) {
+  const key = `${pursuer.id}:${target.id}`;
+  const until = abandonedPursuits.get(key);
+  if (until === undefined) return false;
+  if (tick < until) return true;
+  abandonedPursuits.delete(key);
+  return false;
 }
 
 /**
- * Soft pull-back: front-line creep is moderately damaged and has no medic cover.
- * The creep steps toward the nearest medic to receive heals, then re-engages.
- * This is NOT a full retreat — the creep still fights while moving.
+ * Where `pursuer` should head to catch `target`: the intercept point, else the
+ * target's position PURSUIT_HORIZON ticks ahead. Returns null — and ignores the
+ * target for PURSUIT_COOLDOWN ticks — when the chase cannot close (no intercept
+ * and no range gained for PURSUIT_GIVEUP_TICKS) or would drag the pursuer more
+ * than PURSUIT_LEASH tiles from the squad.
  */
-function shouldPullBack(creep) {
-  if (shouldRetreat(creep)) return false;                          // full retreat handles this
-  const role = creepRoles.get(creep.id);
+function pursue(pursuer, target) {
+  const range = getRange(pursuer, target);
+  let state = pursuits.get(pursuer.id);
+  if (!state || state.targetId !== target.id) {
+    state = { targetId: target.id, bestRange: range, lastClosedTick: tick };
+    pursuits.set(pursuer.id, state);
+  } else if (range < state.bestRange) {
+    state.bestRange = range;
+    state.lastClosedTick = tick;
+  }
+
+  const point = interceptPoint(pursuer, target);
+  const aim = point || predictEnemyPos(target, PURSUIT_HORIZON);
+  const stalled = !point && tick - state.lastClosedTick >= PURSUIT_GIVEUP_TICKS;
+  const centroid = squadCentroid();
+  const overLeash = centroid && getRange(aim, centroid) > PURSUIT_LEASH;
+  if (stalled || overLeash) {
+    abandonedPursuits.set(`${pursuer.id}:${target.id}`, tick + PURSUIT_COOLDOWN);
+    pursuits.delete(pursuer.id);
+    return null;
+  }
+  return aim;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  5d · FLAG RACES — Arrival-time estimates for both sides at every open flag
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const walkCache = new Map(); // "x,y>x,y|plain,swamp" → walking ticks, valid for walkCacheTick
+let walkCacheTick = -1;
+
+/**
+ * Ticks for one of our creeps to stand on `pos`: current fatigue drained, then
+ * the fastest path walked tile by tile at its body's speed on that terrain.
+ * The walk is searched once per tile, destination and speed each tick.
+ */
+function pathTicks(creep, pos) {
+  const plain = ticksPerTile(creep, TERRAIN_PLAIN);
+  if (plain === Infinity) return Infinity;
+  if (getRange(creep, pos) === 0) return 0;
+  const swamp = ticksPerTile(creep, TERRAIN_SWAMP);
+  if (walkCacheTick !== tick) { walkCache.clear(); walkCacheTick = tick; }
+  const key = `${creep.x},${creep.y}>${pos.x},${pos.y}|${plain},${swamp}`;
+  if (!walkCache.has(key)) {
+    const result = searchPath(creep, { pos, range: 0 }, { plainCost: plain, swampCost: swamp, maxOps: pathMaxOps() });
+    let walk = 0;
+    for (const step of result.path) walk += getTerrainAt(step) === TERRAIN_SWAMP ? swamp : plain;
+    walkCache.set(key, result.incomplete ? Infinity : walk);
+  }
+  return fatigueWait(creep) + walkCache.get(key);
+}
+
+/**
+ * Ticks for `enemy` to reach `pos` at its observed pace: the smoothed velocity
+ * component that closes the Chebyshev range. An enemy not heading there only
+ * contests the flag from within RACE_CONTEST_RANGE, at its body's plain speed.
+ */
+function enemyEta(enemy, pos) {
+  const range = getRange(enemy, pos);
+  if (range === 0) return 0;
+  const dx = pos.x - enemy.x;
+  const dy = pos.y - enemy.y;
+  const closing = Math.abs(dx) >= Math.abs(dy)
+    ? Math.sign(dx) * (enemy._svx || 0)
+    : Math.sign(dy) * (enemy._svy || 0);
+  if (closing >= RACE_MIN_CLOSING) return Math.ceil(range / closing);
+  return range <= RACE_CONTEST_RANGE ? range * ticksPerTile(enemy) : Infinity;
+}
+
+/**
+ * Rebuild flagRaces for the uncaptured flags: our best runner ETA, the fastest
+ * enemy ETA, and the margin (positive = we arrive first by that many ticks).
+ * Returns runnerId → (flagId → ETA) for the assignment step.
+ */
+function analyzeFlagRaces(runners, flags) {
+  flagRaces.clear();
+  const etas = new Map(runners.map(r => [r.id, new Map()]));
+  for (const flag of flags) {
+    const theirs = enemies.reduce((best, e) => Math.min(best, enemyEta(e, flag)), Infinity);
+    let ours = Infinity;
+    for (const runner of runners) {
+      const eta = pathTicks(runner, flag);
+      etas.get(runner.id).set(flag.id, eta);
+      ours = Math.min(ours, eta);
+    }
+    flagRaces.set(flag.id, { flag, ours, theirs, margin: theirs - ours });
+  }
+  return etas;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  5e · PATH SERVICE — Shared path trees per destination, reused between creeps
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Every complete path planned toward a destination is merged into that
+// destination's tree (tile → next step), so a creep standing anywhere on an
+// earlier route just follows it. Trees are keyed by layer composition and
+// search budget, and belong to the CostMatrix they were planned on: once
+// composeInfluence hands out a new one (a layer changed) the tree is dropped.
+// Terrain-only trees treat creeps as obstacles, like moveTo does.
+const PATH_TREE_TTL     = 20;  // a tree unused this many ticks is dropped
+const PATH_TREE_MAX_AGE = 50;  // ...and replanned from scratch after this long regardless
+
+const pathTrees = new Map();   // "x,y|threat+tower|2000" or "x,y|terrain|600" → {costMatrix, built, used, next: Map<idx, {x,y}>}
+let occupiedTick  = -1;
+let occupiedTiles = new Set(); // tiles holding a creep or a structure this tick
+
+function occupied() {
+  if (occupiedTick !== tick) {
+    occupiedTick = tick;
+    occupiedTiles = new Set([...myCreeps, ...enemies, ...allTowers].map(o => o.x * 100 + o.y));
+  }
+  return occupiedTiles;
+}
+
+/** Drop trees nobody has used lately, and stale ones past their age. */
+function prunePathTrees() {
+  for (const [key, tree] of pathTrees) {
+    if (tick - tree.used > PATH_TREE_TTL || tick - tree.built > PATH_TREE_MAX_AGE) {
+      pathTrees.delete(key);
+      diag.pathStats.expired++;
+    }
+  }
+}
+
+/** Tree for `target` planned on `opts`, fresh if the old one's CostMatrix is stale. */
+function pathTree(target, opts) {
+  const key = `${target.x},${target.y}|${opts.composition || 'terrain'}|${opts.maxOps}`;
+  let tree = pathTrees.get(key);
+  if (tree && tree.costMatrix !== opts.costMatrix) {
+    diag.pathStats.layerInvalidations++;
+    tree = null;
+  }
+  if (!tree) {
+    tree = { costMatrix: opts.costMatrix, built: tick, used: tick, next: new Map() };
+    pathTrees.set(key, tree);
+  }
+  tree.used = tick;
+  return tree;
+}
+
+/** A cached step is blocked by a structure, or by a creep on terrain-only trees. The goal tile never is. */
+function stepBlocked(step, target, opts) {
+  if (step.x === target.x && step.y === target.y) return false;
+  const idx = step.x * 100 + step.y;
+  if (!occupied().has(idx)) return false;
+  return !opts.costMatrix || allTowers.some(t => t.x === step.x && t.y === step.y);
+}
+
+/**
+ * Plan from the creep's tile and merge the route into the tree. A search that
+ * ran out of ops ends short of the target: the creep takes its first step,
+ * but the partial route is not merged.
+ */
+function planInto(tree, creep, target, opts) {
+  diag.pathStats.plans++;
+  const path = profiled('findPath', () => findPath(creep, target, opts));
+  const end = path[path.length - 1];
+  if (!end || end.x !== target.x || end.y !== target.y) {
+    diag.pathStats.incomplete++;
+    return path.length > 0 ? path[0] : null;
+  }
+  let from = creep;
+  for (const step of path) {
+    tree.next.set(from.x * 100 + from.y, { x: step.x, y: step.y });
+    from = step;
+  }
+  return path.length > 0 ? path[0] : null;
+}
+
+/**
+ * Drop-in for creep.moveTo(target, opts): one step along the shared tree,
+ * planning (and merging) only when the creep is off every known route or
+ * its next step is blocked. `opts` is pathOpts() or aggressivePathOpts().
+ */
+function travel(creep, target, opts = aggressivePathOpts()) {
+  if (!target) return ERR_INVALID_ARGS;
+  if (creep.x === target.x && creep.y === target.y) return OK;
+  const tree = pathTree(target, opts);
+  let step = tree.next.get(creep.x * 100 + creep.y);
+  if (step && stepBlocked(step, target, opts)) {
+    diag.pathStats.blockedInvalidations++;
+    step = null;
+  }
+  if (step) diag.pathStats.hits++;
+  else step = planInto(tree, creep, target, opts);
+  if (!step) return ERR_NO_PATH;
+  return creep.move(getDirection(step.x - creep.x, step.y - creep.y));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  6 · PHASE CONTROLLER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function getPhase() {
+  if (tick > phaseTick(PHASE_ASSAULT_END))  return 4;
+  if (tick <= phaseTick(PHASE_EXPAND_END))  return 1;
+  if (tick <= phaseTick(PHASE_CONSOLIDATE)) return 2;
+  return 3;
+}
+
+/** Phase boundary `t` of a TICK_LIMIT-tick match, scaled to this match's length. */
+function phaseTick(t) {
+  return Math.round(t * (arenaInfo.ticksLimit || TICK_LIMIT) / TICK_LIMIT);
+}
+
+/** Advance currentPhase once per tick; transitions go to diag and the console. */
+function updatePhase() {
+  const phase = getPhase();
+  if (phase === currentPhase) return phase;
+  diag.phaseEvents.push({ tick, from: currentPhase, to: phase });
+  console.log(`[PHASE T${tick}] ${PHASE_NAMES[currentPhase] || 'start'} → ${PHASE_NAMES[phase]}` +
+    ` flags(my=${myFlagCount()} en=${enemyFlagCount()})`);
+  currentPhase = phase;
+  return phase;
+}
+
+function myFlagCount()    { return allFlags.filter(f => f.my === true).length; }
+function enemyFlagCount() { return allFlags.filter(f => f.my === false).length; }
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  7 · RETREAT PROTOCOL (Behavior Layer 5)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function shouldRetreat(creep) {
+  // Low HP, or the next volley of the enemy towers that can fire on us would kill
+  const doomed = creep.hits <= enemyTowerThreat(creep, 1);
+  if (!doomed && creep.hits >= creep.hitsMax * RETREAT_HP_RATIO) return false;
+  // Theory §6.1: Vanguards NEVER retreat — they fight to death.
+  // Retreating removes melee DPS (180→0), exposes medics, and the retreat code
+  // in doCombatAction replaces attack() with heal(self) → complete DPS loss.
+  // "melhor morrer lutando"
+  const role = creepRoles.get(creep.id);
+  if (role === ROLE_VANGUARD) return false;
+  // Only retreat if medics are alive to heal us at the rally point.
+  // With no medics, retreating to myFlag is permanent — the creep idles forever
+  // because HP never recovers. Better to hold and deal damage.
+  return myMedics.length > 0;
+}
+
+/**
+ * Soft pull-back: front-line creep is moderately damaged and has no medic cover.
+ * The creep steps toward the nearest medic to receive heals, then re-engages.
+ * This is NOT a full retreat — the creep still fights while moving.
+ */
+function shouldPullBack(creep) {
+  if (shouldRetreat(creep)) return false;                          // full retreat handles this
+  const role = creepRoles.get(creep.id);
   if (role === ROLE_MEDIC) return false;
   // G03: Vanguards NEVER pull back — they are expendable frontline.
   // A vanguard retreating removes melee DPS and exposes the backline.
@@ -641,10 +1800,139 @@ function shouldPullBack(creep) {
 //  9 · COMMANDER LAYER — Global target assignment (runs once per tick)
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/** Default objective: the largest enemy blob, else the nearest uncaptured flag. */
+function huntObjective(centroid) {
+  const enemyCenter = findEnemyCentroid();
+  if (enemyCenter) return enemyCenter;
+  const uncaptured = [...neutralFlags, ...enemyFlags];
+  return uncaptured.length > 0 ? findClosestByRange(centroid, uncaptured) : myFlag;
+}
+
+/**
+ * Consolidate: hold what we captured. Fight only an enemy blob that comes within
+ * HOLD_ENGAGE_RANGE of an owned flag, or a group the enemy model (§4d) sees
+ * rushing one; otherwise hold the owned flag facing the
+ * enemy mass — at the chokepoint the enemy must come through, if one lies
+ * within CHOKE_HOLD_RANGE of it. (Towers are topped up to full — see
+ * towerChargeThreshold.)
+ */
+function consolidateObjective(centroid) {
+  const owned = allFlags.filter(f => f.my === true);
+  const enemyCenter = findEnemyCentroid();
+  if (owned.length === 0 || !enemyCenter) return huntObjective(centroid);
+  if (owned.some(f => getRange(f, enemyCenter) <= HOLD_ENGAGE_RANGE)) return enemyCenter;
+  const rushing = owned.flatMap(groupsRushing);
+  if (rushing.length > 0) {
+    const group = findClosestByRange(centroid || myFlag, rushing);
+    return { ...clusterAround(findClosestByRange(group.target, group.members)), threatens: group.target.id };
+  }
+  const held = findClosestByRange(enemyCenter, owned);
+  const choke = nearestChokepointBetween(held, enemyCenter);
+  if (!choke || getRange(choke, held) > CHOKE_HOLD_RANGE) return held;
+  diag.chokeHoldTicks++;
+  return choke;
+}
+
 /**
- * Picks ONE global objective and writes per-creep movement targets.
- * All combat creeps share the same directive — no conflicting objectives.
- * See docs/strategy.md §3 for architecture rationale.
+ * Assault: push enemy-held flags (then neutral ones). A blob within
+ * ASSAULT_ENGAGE_RANGE of the army is fought first — marching past it
+ * only gets the column flanked.
+ */
+function assaultObjective(centroid) {
+  const enemyCenter = findEnemyCentroid();
+  if (enemyCenter && getRange(centroid, enemyCenter) <= ASSAULT_ENGAGE_RANGE) return enemyCenter;
+  const targets = enemyFlags.length > 0 ? enemyFlags : neutralFlags;
+  if (targets.length > 0) return findClosestByRange(centroid, targets);
+  return huntObjective(centroid);
+}
+
+/**
+ * Endgame: flags held at arenaInfo.ticksLimit decide the score. Leading → hold
+ * like consolidate, no risky pushes. Tied or behind → keep assaulting.
+ */
+function endgameObjective(centroid) {
+  if (myFlagCount() > enemyFlagCount()) return consolidateObjective(centroid);
+  return assaultObjective(centroid);
+}
+
+const PHASE_POLICIES = {
+  1: huntObjective,
+  2: consolidateObjective,
+  3: assaultObjective,
+  4: endgameObjective,
+};
+
+/** Worth of an objective to the army: cluster size (or a flag's fixed value) over distance. */
+function objectiveScore(obj, centroid) {
+  const value = obj.clusterSize !== undefined ? obj.clusterSize : FLAG_OBJECTIVE_VALUE;
+  return value / (OBJECTIVE_RANGE_BIAS + getRange(centroid, obj));
+}
+
+function sameObjective(a, b) {
+  if (a.anchorId !== undefined && b.anchorId !== undefined) {
+    return a.anchorId === b.anchorId || getRange(a, b) <= 3;
+  }
+  if (a.id !== undefined || b.id !== undefined) return a.id === b.id;
+  return a.x === b.x && a.y === b.y;
+}
+
+/**
+ * Re-centre a locked cluster on its anchor enemy this tick. If the anchor died,
+ * hand over to the nearest survivor near the old centroid; null when none is left.
+ */
+function refreshClusterObjective(obj) {
+  let anchor = enemies.find(e => e.id === obj.anchorId);
+  if (!anchor) anchor = findClosestByRange(obj, findInRange(obj, enemies, 10));
+  return anchor ? clusterAround(anchor) : null;
+}
+
+/** Why the current lock must be dropped this tick, or null to keep it. */
+function stickyBreakReason(candidate, centroid) {
+  if (stickyPhase !== currentPhase) return 'phase';
+  const flagEvent = diag.flagEvents.find(e => e.tick === tick && (e.type === 'capture' || e.type === 'lose'));
+  if (flagEvent) return flagEvent.type === 'capture' ? 'flag_capture' : 'flag_loss';
+  if (stickyObjective.anchorId !== undefined) {
+    const refreshed = refreshClusterObjective(stickyObjective);
+    if (!refreshed) return 'gone';
+    stickyObjective = refreshed;
+  } else if (stickyObjective.id !== undefined && stickyObjective.my !== stickyFlagOwner) {
+    return 'gone';
+  }
+  if (sameObjective(stickyObjective, candidate)) return null;
+  if (candidate.threatens !== undefined) return 'flag_threat'; // a group rushing an owned flag (§4d)
+  if (objectiveScore(candidate, centroid) >= objectiveScore(stickyObjective, centroid) * STICKY_BETTER_RATIO) {
+    return 'better';
+  }
+  if (tick - stickySetTick >= STICKY_TICKS) return 'expired';
+  return null;
+}
+
+/**
+ * Hysteresis over the phase policy's pick: the army keeps its locked objective
+ * until stickyBreakReason() releases it. Every re-lock is recorded in diag.
+ */
+function stickyArmyObjective(candidate, centroid) {
+  if (!candidate) return stickyObjective;
+  const reason = stickyObjective ? stickyBreakReason(candidate, centroid) : 'initial';
+  if (!reason) return stickyObjective;
+
+  diag.objectiveEvents.push({
+    tick,
+    reason,
+    from: stickyObjective ? `${stickyObjective.x},${stickyObjective.y}` : null,
+    to: `${candidate.x},${candidate.y}`,
+  });
+  stickyObjective = candidate;
+  stickySetTick   = tick;
+  stickyPhase     = currentPhase;
+  stickyFlagOwner = candidate.my;
+  return candidate;
+}
+
+/**
+ * Picks ONE army objective and writes per-creep movement targets through the
+ * squads (§9a): the main force shares the army objective, detachments hold
+ * their own flag. See docs/strategy.md §3 for architecture rationale.
  */
 function commandLayer() {
   const centroid = squadCentroid() || { x: 50, y: 50 };
@@ -656,76 +1944,49 @@ function commandLayer() {
     myVanguards.some(v => getRange(v, e) <= 6) ||
     myRangers.some(r => getRange(r, e) <= 6)
   );
-  globalFocusTarget = engageable.length > 0
+  globalFocusTarget = profiled('selectFocusTarget', () => engageable.length > 0
     ? selectFocusTarget(centroid, engageable)
-    : (enemies.length > 0 ? selectFocusTarget(centroid, enemies) : null);
+    : (enemies.length > 0 ? selectFocusTarget(centroid, enemies) : null));
 
   // ── Designate tank — picks healthiest vanguard for heal-ball formation ──
   designateTank();
 
-  const uncaptured = [...neutralFlags, ...enemyFlags];
   const runners = myRunners.filter(c => !chargerToTower.has(c.id));
   const mainArmy = myCreeps.filter(c => {
     const r = creepRoles.get(c.id);
-    return r !== ROLE_RUNNER && !chargerToTower.has(c.id);
+    return r !== ROLE_RUNNER && r !== ROLE_SENTINEL && !chargerToTower.has(c.id);
   });
 
+  // ── RUNNER TARGETS — chase the flag races we win (§5d) ──────────────────
+  assignRunnerTargets(runners);
+
   // ── Phase 1: Flag Rush ───────────────────────────────────────────────────
-  // Runners rush flags independently. Main army stays TOGETHER and marches
-  // to the nearest neutral flag as a deathball — never split the main army.
-  if (tick <= PHASE_EXPAND_END && neutralFlags.length > 0) {
-    assignRunnerTargets(runners);
-    const nearestNeutral = neutralFlags.reduce((best, f) =>
+  // Runners rush flags independently. Main force stays TOGETHER and marches
+  // to the nearest neutral flag no runner is after as a deathball; only a
+  // clearly spare detachment (§9a) peels off. Once runners cover every
+  // neutral flag the army falls through to the phase policy and hunts.
+  const raced = new Set(runners.map(r => creepTargets.get(r.id)).filter(Boolean).map(t => t.id));
+  const unraced = neutralFlags.filter(f => !raced.has(f.id));
+  if (currentPhase === 1 && unraced.length > 0) {
+    const nearestNeutral = stickyArmyObjective(unraced.reduce((best, f) =>
       getRange(centroid, f) < getRange(centroid, best) ? f : best
-    );
-    for (const creep of mainArmy) {
-      creepTargets.set(creep.id, nearestNeutral);
-    }
+    ), centroid);
+    commandSquads(mainArmy, nearestNeutral);
     return;
   }
 
-  // ── RUNNER TARGETS — always chase uncaptured flags ───────────────────────
-  assignRunnerTargets(runners);
-
-  // ── MAIN ARMY — hunt the largest enemy concentration ────────────────────
-  const enemyCenter = findEnemyCentroid();
-  if (enemyCenter && enemies.length > 0) {
-    // All main army converges on enemy blob to destroy it
-    for (const creep of mainArmy) {
-      creepTargets.set(creep.id, enemyCenter);
-    }
-  } else {
-    // No enemies — capture remaining flags
-    const obj = uncaptured.length > 0
-      ? uncaptured.reduce((best, f) =>
-          getRange(centroid, f) < getRange(centroid, best) ? f : best)
-      : myFlag;
-    for (const creep of mainArmy) {
-      creepTargets.set(creep.id, obj || myFlag);
-    }
-  }
+  // ── MAIN ARMY — phase policy picks the army's single objective ──────────
+  const policy = PHASE_POLICIES[currentPhase] || huntObjective;
+  const objective = stickyArmyObjective(policy(centroid) || myFlag, centroid);
+  commandSquads(mainArmy, objective);
 
-  // ── FLAG DEFENSE INTERCEPTOR — anti-rush & anti-sneak ──────────────────
-  const myOwnedFlags = allFlags.filter(f => f.my === true);
-  for (const flag of myOwnedFlags) {
-    const threatsNearFlag = findInRange(flag, enemies, 10);
-    if (threatsNearFlag.length === 0) continue;
-    const defendersNear = findInRange(flag, myCreeps, 5).filter(c =>
-      !chargerToTower.has(c.id)
-    );
-    if (defendersNear.length > 0) continue;
-    const interceptors = mainArmy.filter(c => {
-      const r = creepRoles.get(c.id);
-      return r === ROLE_VANGUARD || r === ROLE_RANGER;
-    });
-    if (interceptors.length === 0) continue;
-    const closest = findClosestByRange(flag, interceptors);
-    if (closest) creepTargets.set(closest.id, flag);
-  }
+  // ── FLAG DEFENSE — early warning, cheapest timely response (§9d) ──────
+  planFlagDefense(runners, mainArmy);
 
   // ── STRAGGLER CONSOLIDATION ──────────────────────────────────────────────
   if (centroid) {
     for (const creep of mainArmy) {
+      if (inDetachment(creep)) continue;
       const distToCentroid = getRange(creep, centroid);
       if (distToCentroid > 15) {
         const nearbyEn = findInRange(creep, enemies, MOSQUITO_DETECT_RANGE);
@@ -751,61 +2012,624 @@ function recordAction(creep, action) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-//  10b · TOWER CHARGING — Dedicated charger system (one per hungry tower)
+//  9a · SQUADS — Main force and detachments, split/merge/reinforce by strength
 // ═══════════════════════════════════════════════════════════════════════════════
 
+const SQUAD_REVIEW_TICKS     = 10;  // split/merge decisions are revisited this often
+const MAX_DETACHMENTS        = 1;
+const DETACH_SIZE            = 2;   // fighters sent with a detachment (plus a spare medic)
+const DETACH_MIN_MAIN        = 3;   // main force members that must stay behind
+const DETACH_MIN_SEPARATION  = 15;  // a detachment's flag lies this far from the main objective
+const DETACH_THREAT_RANGE    = 10;  // enemies this close to a squad's flag are its local threat
+const SPLIT_STRENGTH_RATIO   = 2;   // main force after a split vs the whole enemy army
+const DETACH_STRENGTH_RATIO  = 1.5; // detachment vs the threat at its flag
+const RECALL_STRENGTH_RATIO  = 1;   // main force below this vs the enemy army recalls detachments
+const SQUAD_ENGAGE_RANGE     = 8;
+
+const squads     = new Map(); // squadId → {id, kind, members:Set, leader, objective, state}
+const creepSquad = new Map(); // creepId → squadId
+let nextSquadId  = 1;
+let lastSquadReview = -Infinity;
+
 /**
- * Centroid (average position) of all non-medic combat creeps.
- * Used by Medics and Rangers to stay near the fight.
+ * Fighting strength of a group, Lanchester-style: total damage/heal output
+ * times total hits. Only meaningful as a ratio between two groups.
  */
-function squadCentroid() {
-  const squad = [...myVanguards, ...myRangers];
-  if (squad.length === 0) return null;
-  const ax = Math.round(squad.reduce((s, c) => s + c.x, 0) / squad.length);
-  const ay = Math.round(squad.reduce((s, c) => s + c.y, 0) / squad.length);
-  return { x: ax, y: ay };
+function groupStrength(creeps) {
+  let power = 0;
+  let hits = 0;
+  for (const c of creeps) {
+    power += countActive(c, ATTACK) * ATTACK_POWER + countActive(c, RANGED_ATTACK) * RANGED_ATTACK_POWER +
+      countActive(c, HEAL) * HEAL_POWER;
+    hits += c.hits;
+  }
+  return power * hits;
+}
+
+function squadCreeps(squad) {
+  return myCreeps.filter(c => squad.members.has(c.id));
+}
+
+function mainSquad() {
+  return [...squads.values()].find(s => s.kind === 'main') || null;
+}
+
+function sameSquad(a, b) {
+  return creepSquad.get(a.id) === creepSquad.get(b.id);
+}
+
+function inDetachment(creep) {
+  const squad = squads.get(creepSquad.get(creep.id));
+  return !!squad && squad.kind !== 'main';
+}
+
+function formSquad(kind, objective) {
+  const squad = { id: `s${nextSquadId++}`, kind, members: new Set(), leader: null, objective, state: 'marching' };
+  squads.set(squad.id, squad);
+  diag.squadStats[squad.id] = { kind, formed: tick, ended: null, endReason: null, joined: 0, lost: 0, peak: 0, engagedTicks: 0 };
+  return squad;
+}
+
+function joinSquad(squad, creepId) {
+  const prev = squads.get(creepSquad.get(creepId));
+  if (prev === squad) return;
+  if (prev) prev.members.delete(creepId);
+  squad.members.add(creepId);
+  creepSquad.set(creepId, squad.id);
+  const stats = diag.squadStats[squad.id];
+  stats.joined++;
+  stats.peak = Math.max(stats.peak, squad.members.size);
+}
+
+/** Drop a creep from its squad; `lost` marks a death in the squad's stats. */
+function leaveSquad(creepId, lost = false) {
+  const squad = squads.get(creepSquad.get(creepId));
+  creepSquad.delete(creepId);
+  if (!squad) return;
+  squad.members.delete(creepId);
+  if (lost) diag.squadStats[squad.id].lost++;
+}
+
+/** Fold a detachment back into the main force. */
+function mergeSquad(squad, into, reason) {
+  for (const id of [...squad.members]) joinSquad(into, id);
+  disbandSquad(squad, reason);
+  console.log(`[SQUAD T${tick}] ${squad.id} merged into ${into.id} (${reason})`);
+}
+
+function disbandSquad(squad, reason) {
+  squads.delete(squad.id);
+  Object.assign(diag.squadStats[squad.id], { ended: tick, endReason: reason });
+}
+
+/** Enemy strength around a flag objective. */
+function flagThreat(flag) {
+  return groupStrength(findInRange(flag, enemies, DETACH_THREAT_RANGE));
+}
+
+/** Why a detachment should rejoin the main force, or null to keep it out. */
+function mergeReason(squad, main, enemyStrength) {
+  const flag = getObjectById(squad.objective.id);
+  if (!flag) return 'gone';
+  if (flag.my === true && findInRange(flag, enemies, DETACH_THREAT_RANGE).length === 0) return 'captured';
+  if (groupStrength(squadCreeps(squad)) < flagThreat(flag)) return 'outmatched';
+  if (groupStrength(squadCreeps(main)) < enemyStrength * RECALL_STRENGTH_RATIO) return 'recalled';
+  return null;
 }
 
 /**
- * Mosquito detection: is this creep in a genuinely-outnumbered small group
- * where it should kite toward allied mass instead of fighting?
- *
- * Conservative triggers — prevents the whole-army-fleeing cascade:
- * 1. NEVER triggers if this creep is part of the main army (≥60% of alive)
- * 2. NEVER triggers if we have global numerical dominance (≥1.5x)
- * 3. Only on genuine numeric disadvantage (enemies > allies * 1.3)
+ * Carve a detachment out of the main force for an uncaptured flag that no
+ * runner is after and that lies well away from the main objective — only if
+ * the main force still clearly outguns the whole enemy army without it and the
+ * detachment outguns whatever sits at that flag.
  */
-function isMosquitoSituation(creep) {
-  const localAllies  = findInRange(creep, myCreeps, MOSQUITO_DETECT_RANGE).length;
-  const localEnemies = findInRange(creep, enemies, MOSQUITO_DETECT_RANGE).length;
-  if (localEnemies < 3) return false;
+function trySplit(main, mainObjective, enemyStrength) {
+  const raced = new Set(myRunners.map(r => creepTargets.get(r.id)).filter(Boolean).map(t => t.id));
+  const claimed = new Set([...squads.values()].map(s => s.objective && s.objective.id));
+  const flags = [...neutralFlags, ...enemyFlags].filter(f => !raced.has(f.id) && !claimed.has(f.id) &&
+    (!mainObjective || getRange(f, mainObjective) >= DETACH_MIN_SEPARATION));
+  const members = squadCreeps(main);
+  for (const flag of flags.sort((a, b) => flagThreat(a) - flagThreat(b))) {
+    const fighters = members
+      .filter(c => c.id !== currentTank && creepRoles.get(c.id) !== ROLE_MEDIC && !shouldRetreat(c))
+      .sort((a, b) => getRange(a, flag) - getRange(b, flag))
+      .slice(0, DETACH_SIZE);
+    if (fighters.length === 0) continue;
+    const medics = members.filter(c => creepRoles.get(c.id) === ROLE_MEDIC);
+    const detached = medics.length >= 2 ? [...fighters, findClosestByRange(flag, medics)] : fighters;
+    const staying = members.filter(c => !detached.includes(c));
+    if (staying.length < DETACH_MIN_MAIN) continue;
+    if (groupStrength(staying) < enemyStrength * SPLIT_STRENGTH_RATIO) continue;
+    if (groupStrength(detached) < flagThreat(flag) * DETACH_STRENGTH_RATIO) continue;
+
+    const squad = formSquad('detachment', flag);
+    for (const c of detached) joinSquad(squad, c.id);
+    console.log(`[SQUAD T${tick}] ${squad.id} split from ${main.id}: ${detached.map(c => c.id).join(',')} → (${flag.x},${flag.y})`);
+    return;
+  }
+}
 
-  // Main army check: if ≥50% of our force is here, this IS the main fight — commit.
-  if (localAllies >= myCreeps.length * 0.5) return false;
+/** Leader: the designated tank if it is a member, else the member with the most hits. */
+function squadLeader(squad, creeps) {
+  if (squad.members.has(currentTank)) return currentTank;
+  const best = creeps.reduce((b, c) => (!b || c.hits > b.hits) ? c : b, null);
+  return best ? best.id : null;
+}
 
-  // Global dominance: if we outnumber enemy overall by 1.5x, always fight
-  if (myCreeps.length >= enemies.length * 1.5) return false;
+/**
+ * Squad bookkeeping for this tick, then each army creep's target from its
+ * squad: the main force takes the army objective, detachments their flag.
+ * New army creeps (spawns, released sentinels and chargers) reinforce the main
+ * force, or an under-strength detachment when the main force can spare them.
+ */
+function commandSquads(army, objective) {
+  const armyIds = new Set(army.map(c => c.id));
+  for (const id of [...creepSquad.keys()]) if (!armyIds.has(id)) leaveSquad(id);
+  let main = mainSquad() || formSquad('main', objective);
+  main.objective = objective;
+  for (const squad of [...squads.values()]) {
+    if (squad.kind !== 'main' && squad.members.size === 0) disbandSquad(squad, 'wiped');
+  }
 
-  // G15: If creep has vanguard support nearby, don't flee — screen is present
-  const localVanguards = findInRange(creep, myVanguards, 4);
-  if (localVanguards.length >= 2) return false;
+  const enemyStrength = groupStrength(enemies);
+  const needy = [...squads.values()].find(s => s.kind !== 'main' &&
+    groupStrength(squadCreeps(s)) < flagThreat(s.objective) * DETACH_STRENGTH_RATIO);
+  for (const creep of army) {
+    if (creepSquad.has(creep.id)) continue;
+    const spare = needy && groupStrength(squadCreeps(main)) >= enemyStrength * SPLIT_STRENGTH_RATIO;
+    joinSquad(spare ? needy : main, creep.id);
+  }
+
+  if (tick - lastSquadReview >= SQUAD_REVIEW_TICKS) {
+    lastSquadReview = tick;
+    for (const squad of [...squads.values()]) {
+      if (squad.kind === 'main') continue;
+      const reason = mergeReason(squad, main, enemyStrength);
+      if (reason) mergeSquad(squad, main, reason);
+    }
+    if (squads.size - 1 < MAX_DETACHMENTS) trySplit(main, objective, enemyStrength);
+  }
 
-  // Trigger only on genuine disadvantage (50%+ more enemies locally)
-  return localEnemies > localAllies * 1.5;
+  for (const squad of squads.values()) {
+    const creeps = squadCreeps(squad);
+    squad.leader = squadLeader(squad, creeps);
+    const leader = creeps.find(c => c.id === squad.leader);
+    squad.state = creeps.some(c => enemyNear(c, SQUAD_ENGAGE_RANGE)) ? 'engaged'
+      : leader && squad.objective && getRange(leader, squad.objective) <= 2 ? 'holding' : 'marching';
+    if (squad.state === 'engaged') diag.squadStats[squad.id].engagedTicks++;
+    for (const c of creeps) creepTargets.set(c.id, squad.objective);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  9b · SQUAD PACE — March at the slowest member's speed, arrive as one unit
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const SQUAD_MAX_LEAD          = 2;  // tiles a member may run ahead of the laggard
+const SQUAD_COHESION_RANGE    = 10; // stragglers beyond this from the centroid are not waited for
+const SQUAD_PACE_ENGAGE_RANGE = 8;  // members with an enemy this close move freely
+
+const pacedHold = new Set(); // creep ids that wait for the laggard this tick
+let squadPace   = 0;         // ticks per tile of the slowest marching member (0 = no march)
+
+/** Ticks per tile for a marching member, as towed by its pull chain if it has one. */
+function marchTicksPerTile(creep) {
+  for (const [fastId, slowId] of pullChains) {
+    if (slowId !== creep.id && fastId !== creep.id) continue;
+    const fast = myCreeps.find(c => c.id === fastId);
+    const slow = myCreeps.find(c => c.id === slowId);
+    if (fast && slow) return chainTicksPerTile(fast, slow, getTerrainAt(creep));
+  }
+  return localTicksPerTile(creep);
 }
 
 /**
- * Combat strength estimate for a group of creeps.
- * Used for opportunity aggression detection.
+ * Members marching on the army objective hold while they are more than
+ * SQUAD_MAX_LEAD tiles closer to it than the laggard, so the army advances at
+ * the slowest member's pace. Runs after planPullChains (towing known).
  */
-function groupStrength(creeps) {
-  let str = 0;
-  for (const c of creeps) {
-    str += countActive(c, ATTACK) * ATTACK_POWER;
-    str += countActive(c, RANGED_ATTACK) * RANGED_ATTACK_POWER;
-    str += countActive(c, HEAL) * HEAL_POWER;
+function planSquadPace() {
+  pacedHold.clear();
+  squadPace = 0;
+  const objective = stickyObjective;
+  const centroid = squadCentroid();
+  if (!objective || !centroid) return;
+
+  const members = myCreeps.filter(c => {
+    const r = creepRoles.get(c.id);
+    return (r === ROLE_VANGUARD || r === ROLE_RANGER || r === ROLE_MEDIC) &&
+      !chargerToTower.has(c.id) && creepTargets.get(c.id) === objective &&
+      getRange(c, centroid) <= SQUAD_COHESION_RANGE && ticksPerTile(c) < Infinity;
+  });
+  if (members.length < 2) return;
+
+  // Medics trail the vanguards by design (§9c slots), so only the
+  // fighting line sets how far back the laggard is.
+  const line = members.filter(c => creepRoles.get(c.id) !== ROLE_MEDIC);
+  if (line.length === 0) return;
+  const laggardRange = Math.max(...line.map(c => getRange(c, objective)));
+  squadPace = Math.max(...members.map(marchTicksPerTile));
+  for (const c of members) {
+    if (towedThisTick.has(c.id) || marchTicksPerTile(c) >= squadPace) continue;
+    if (enemyNear(c, SQUAD_PACE_ENGAGE_RANGE)) continue;
+    if (getRange(c, objective) < laggardRange - SQUAD_MAX_LEAD) pacedHold.add(c.id);
+  }
+  diag.pacedHolds += pacedHold.size;
+}
+
+/** March toward the army objective unless the creep is waiting for the laggard. */
+function advanceToObjective(creep, objective) {
+  if (pacedHold.has(creep.id)) return;
+  travel(creep, objective, aggressivePathOpts());
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  9c · FORMATIONS — Named shapes on the threat axis, slots typed by role
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const FORMATION_RANGE      = 8;    // formation forms while an enemy is this close to the anchor
+const FORMATION_RADIUS     = 8;    // members farther than this from the anchor keep their own orders
+const FORMATION_MIN_WIDTH  = 3;    // open tiles across the axis below which the army files into a column
+const WEDGE_ADVANTAGE      = 1.5;  // local headcount edge at which the line becomes a wedge
+const FORMATION_UNSLOTTED  = 1000; // assignment cost of leaving a creep without a slot
+
+// Slot offsets as [forward, lateral] from the anchor (the tank), forward = toward
+// the threat. Slots are listed in fill order, so a shrinking squad closes up on
+// the anchor. Front slot 0 is always the anchor itself.
+const FORMATION_SHAPES = {
+  line: {
+    front:  [[0, 0], [0, -1], [0, 1], [0, -2], [0, 2]],
+    medic:  [[-1, 0], [-1, -1], [-1, 1]],
+    ranged: [[-1, -2], [-1, 2], [-2, 0], [-2, -1], [-2, 1]],
+  },
+  wedge: {
+    front:  [[0, 0], [-1, -1], [-1, 1], [-2, -2], [-2, 2]],
+    medic:  [[-1, 0], [-2, -1], [-2, 1], [-2, 0]],
+    ranged: [[-3, -1], [-3, 1], [-3, 0], [-3, -2], [-3, 2]],
+  },
+  box: {
+    front:  [[0, 0], [0, -1], [0, 1]],
+    medic:  [[-1, 0], [-1, -1], [-1, 1]],
+    ranged: [[0, -2], [0, 2], [-2, 0], [-2, -1], [-2, 1]],
+  },
+  column: {
+    front:  [[0, 0], [-3, 0]],
+    medic:  [[-1, 0], [-4, 0]],
+    ranged: [[-2, 0], [-5, 0], [-6, 0]],
+  },
+};
+
+const formationSlots = new Map(); // creepId → {x, y} slot for this tick
+let formationShape   = null;      // shape name in use this tick (null = no formation)
+
+function slotKind(creep) {
+  const role = creepRoles.get(creep.id);
+  return role === ROLE_VANGUARD ? 'front' : role === ROLE_MEDIC ? 'medic' : 'ranged';
+}
+
+/** Open tiles across the axis through the anchor, out to two tiles each side. */
+function formationWidth(anchor, perp) {
+  let width = 1;
+  for (const side of [-1, 1]) {
+    for (let l = 1; l <= 2; l++) {
+      const p = { x: Math.round(anchor.x + side * l * perp.x), y: Math.round(anchor.y + side * l * perp.y) };
+      if (p.x < 0 || p.x > 99 || p.y < 0 || p.y > 99 || getTerrainAt(p) === TERRAIN_WALL) break;
+      width++;
+    }
+  }
+  return width;
+}
+
+/**
+ * Shape for the fight ahead: a column through narrow ground, a box when enemies
+ * stand behind the anchor's shoulder, a wedge when we clearly outnumber them
+ * and have the vanguards for both shoulders, else a line.
+ */
+function pickFormationShape(anchor, axis, perp, threats, members) {
+  if (isCorridor(anchor) || formationWidth(anchor, perp) < FORMATION_MIN_WIDTH) return 'column';
+  if (threats.some(e => (e.x - anchor.x) * axis.x + (e.y - anchor.y) * axis.y < 0)) return 'box';
+  const shoulders = members.filter(c => slotKind(c) === 'front').length;
+  if (shoulders >= 2 && members.length + 1 >= threats.length * WEDGE_ADVANTAGE) return 'wedge';
+  return 'line';
+}
+
+/**
+ * World tiles for a slot list: offsets rotated onto the axis, and a slot that
+ * lands on a wall or a tile already taken moves to the free neighbour closest
+ * to it (dropped if there is none).
+ */
+function placeSlots(anchor, axis, perp, offsets, taken) {
+  const tiles = [];
+  for (const [f, l] of offsets) {
+    const ideal = { x: anchor.x + f * axis.x + l * perp.x, y: anchor.y + f * axis.y + l * perp.y };
+    const base = { x: Math.round(ideal.x), y: Math.round(ideal.y) };
+    let best = null;
+    let bestDist = Infinity;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const p = { x: base.x + dx, y: base.y + dy };
+        if (p.x < 0 || p.x > 99 || p.y < 0 || p.y > 99) continue;
+        if (taken.has(p.x * 100 + p.y) || getTerrainAt(p) === TERRAIN_WALL) continue;
+        const d = (p.x - ideal.x) ** 2 + (p.y - ideal.y) ** 2;
+        if (d < bestDist) { bestDist = d; best = p; }
+      }
+    }
+    if (!best) continue;
+    taken.add(best.x * 100 + best.y);
+    tiles.push(best);
+  }
+  return tiles;
+}
+
+/**
+ * Minimum-total-travel assignment of creeps to slots (exact: bitmask DP over
+ * the slots, which are few). A creep left without a slot costs
+ * FORMATION_UNSLOTTED, so every slot that can be filled is. Returns creepId → slot.
+ */
+function assignSlots(creeps, slots) {
+  const full = 1 << slots.length;
+  let cost = new Array(full).fill(Infinity);
+  cost[0] = 0;
+  const choice = [];
+  for (const creep of creeps) {
+    const next = new Array(full).fill(Infinity);
+    const pick = new Array(full).fill(-1);
+    for (let mask = 0; mask < full; mask++) {
+      if (cost[mask] === Infinity) continue;
+      if (cost[mask] + FORMATION_UNSLOTTED < next[mask]) {
+        next[mask] = cost[mask] + FORMATION_UNSLOTTED;
+        pick[mask] = -1;
+      }
+      for (let s = 0; s < slots.length; s++) {
+        if (mask & (1 << s)) continue;
+        const m = mask | (1 << s);
+        const c = cost[mask] + getRange(creep, slots[s]);
+        if (c < next[m]) { next[m] = c; pick[m] = s; }
+      }
+    }
+    choice.push(pick);
+    cost = next;
+  }
+  let mask = cost.indexOf(Math.min(...cost));
+  const out = new Map();
+  for (let i = creeps.length - 1; i >= 0; i--) {
+    const s = choice[i][mask];
+    if (s < 0) continue;
+    out.set(creeps[i].id, slots[s]);
+    mask &= ~(1 << s);
+  }
+  return out;
+}
+
+/**
+ * Lay the formation out around the tank for this tick: shape from the threat
+ * and the terrain, slots rotated onto the threat axis, members matched to their
+ * role's slots by least total travel. Recomputed every tick, so it reflows as
+ * members die. Vanguards keep charging whatever is in reach; the front slots
+ * only pull in vanguards that have nothing to hit yet. Rangers shooting from
+ * r2-r3 hold, and fall back into their slots when caught ahead of the screen.
+ */
+function planFormation() {
+  formationSlots.clear();
+  formationShape = null;
+  const anchor = currentTank ? myVanguards.find(v => v.id === currentTank) : null;
+  if (!anchor) return;
+  const threats = findInRange(anchor, enemies, FORMATION_RANGE);
+  if (threats.length === 0) return;
+
+  const ex = threats.reduce((s, e) => s + e.x, 0) / threats.length;
+  const ey = threats.reduce((s, e) => s + e.y, 0) / threats.length;
+  const mag = Math.hypot(ex - anchor.x, ey - anchor.y) || 1;
+  const axis = { x: (ex - anchor.x) / mag, y: (ey - anchor.y) / mag };
+  const perp = { x: -axis.y, y: axis.x };
+
+  const members = myCreeps.filter(c => {
+    const r = creepRoles.get(c.id);
+    return c.id !== anchor.id && sameSquad(c, anchor) && (r === ROLE_VANGUARD || r === ROLE_RANGER || r === ROLE_MEDIC) &&
+      !chargerToTower.has(c.id) && !towedThisTick.has(c.id) && getRange(c, anchor) <= FORMATION_RADIUS;
+  });
+  formationShape = pickFormationShape(anchor, axis, perp, threats, members);
+  const shape = FORMATION_SHAPES[formationShape];
+  const taken = new Set([anchor.x * 100 + anchor.y]);
+  formationSlots.set(anchor.id, { x: anchor.x, y: anchor.y });
+
+  for (const kind of ['front', 'medic', 'ranged']) {
+    const group = members.filter(c => slotKind(c) === kind);
+    if (group.length === 0) continue;
+    const offsets = (kind === 'front' ? shape.front.slice(1) : shape[kind]).slice(0, group.length);
+    const slots = placeSlots(anchor, axis, perp, offsets, taken);
+    for (const [id, slot] of assignSlots(group, slots)) formationSlots.set(id, slot);
+  }
+  diag.formationTicks[formationShape] = (diag.formationTicks[formationShape] || 0) + 1;
+}
+
+/** Step into this creep's formation slot. Returns false if it has none. */
+function moveToSlot(creep) {
+  const slot = formationSlots.get(creep.id);
+  if (!slot) return false;
+  const dist = getRange(creep, slot);
+  if (dist === 0) return true;
+  if (dist === 1) moveToward(creep, slot);
+  else travel(creep, slot, aggressivePathOpts());
+  return true;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  9d · EARLY WARNING — Raider arrival times per owned flag, cheapest timely response
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const flagWarnings = new Map(); // flagId → {flag, since, calmSince, eta, raiders, minRange, kind, responderId}
+let ownedFlagIds   = new Set(); // owned flags as of the last planFlagDefense()
+
+/** Ticks until `enemy` could stand on `flag`: its observed closing pace (§5d), or its body's pace if rushing it (§4d). */
+function raiderEta(enemy, flag) {
+  const eta = enemyEta(enemy, flag);
+  const m = enemyModel.get(enemy.id);
+  if (m && m.intent === 'rush' && m.target && m.target.id === flag.id) {
+    return Math.min(eta, getRange(enemy, flag) * ticksPerTile(enemy));
+  }
+  return eta;
+}
+
+/** Adequate: the simulated exchange against the raiders is not one to run from. */
+function holdsAgainst(defenders, raiders) {
+  return defenders.length > 0 && judgeEngagement(simulateEngagement(defenders, raiders)) !== 'disengage';
+}
+
+/** Can our towers in range of `flag` put the raiders' total hits into them before `eta`? */
+function towerCovers(flag, raiders, eta) {
+  let damage = 0;
+  for (const t of myTowers) {
+    const range = getRange(t, flag);
+    const ready = towerReadyIn(t);
+    if (range > TOWER_RANGE || ready > eta) continue;
+    const shots = Math.min(Math.floor(towerEnergy(t) / TOWER_ENERGY_COST), 1 + Math.floor((eta - ready) / TOWER_COOLDOWN));
+    damage += shots * towerAttackPower(range);
+  }
+  return damage >= raiders.reduce((s, e) => s + e.hits, 0);
+}
+
+/**
+ * Cheapest response that is adequate and arrives in time: the flag's own
+ * garrison, tower fire, a parked runner blocking the tile, then a ranger or
+ * a vanguard from the main army. Only the nearest RESPONDER_CANDIDATES of
+ * each kind are timed. A dispatched responder is kept while it still works,
+ * so a defender walking in and out of GARRISON_RANGE doesn't flip the answer.
+ */
+function pickResponse(flag, raiders, eta, pools, warning, taken) {
+  // A runner only has to stand on the tile first; a fighter has to win there.
+  const inTime = (kind, c) => !taken.has(c.id) && !shouldRetreat(c) && (kind === 'runner'
+    ? pathTicks(c, flag) < eta
+    : pathTicks(c, flag) <= eta && holdsAgainst([c], raiders));
+  const prev = warning.responderId && myCreeps.find(c => c.id === warning.responderId);
+  if (prev && inTime(warning.kind, prev)) return { kind: warning.kind, creep: prev };
+  const garrison = findInRange(flag, myCreeps, GARRISON_RANGE).filter(c => !chargerToTower.has(c.id));
+  if (!sentinelAlarms.has(flag.id) && holdsAgainst(garrison, raiders)) return { kind: 'garrison', creep: null };
+  if (towerCovers(flag, raiders, eta)) return { kind: 'tower', creep: null };
+  for (const [kind, pool] of pools) {
+    const nearest = pool.slice().sort((a, b) => getRange(a, flag) - getRange(b, flag)).slice(0, RESPONDER_CANDIDATES);
+    const creep = nearest.find(c => inTime(kind, c));
+    if (creep) return { kind, creep };
   }
-  return str;
+  // Nothing makes it in time: once a raider is close, send the nearest fighter anyway.
+  if (!raiders.some(e => getRange(e, flag) <= FLAG_DEFENSE_RANGE)) return { kind: 'none', creep: null };
+  const fighters = [...pools.get('ranger'), ...pools.get('vanguard')].filter(c => !taken.has(c.id));
+  const creep = findClosestByRange(flag, fighters);
+  return creep ? { kind: 'late', creep } : { kind: 'none', creep: null };
+}
+
+function closeWarning(warning, outcome) {
+  flagWarnings.delete(warning.flag.id);
+  diag.flagDefense[outcome]++;
+  const closest = warning.minRange === Infinity ? '-' : warning.minRange;
+  console.log(`[DEFENSE T${tick}] (${warning.flag.x},${warning.flag.y}) ${outcome} after ${tick - warning.since}t` +
+    ` (closest raider r${closest}, response ${warning.kind || 'none'})`);
+}
+
+/**
+ * Early warning for every owned flag: enemies due within WARNING_HORIZON
+ * ticks raise a warning, answered by pickResponse(); a dispatched creep is
+ * retargeted to meet the nearest raider short of the flag (a runner goes
+ * onto the tile). A warning closes as held or near_miss only after every ETA
+ * stayed past WARNING_HORIZON + WARNING_CLOSE_MARGIN for WARNING_CLOSE_TICKS,
+ * so a raider hovering at the horizon doesn't reopen it; it closes as lost
+ * with its flag. Flags lost with no warning up count as unwarned. Enemies
+ * already inside FLAG_DEFENSE_RANGE count as raiders whatever their pace.
+ */
+function planFlagDefense(runners, army) {
+  const owned = allFlags.filter(f => f.my === true);
+  const lost = allFlags.filter(f => f.my !== true && ownedFlagIds.has(f.id));
+  for (const flag of lost) {
+    const warning = flagWarnings.get(flag.id);
+    if (warning) {
+      warning.flag = flag;
+      closeWarning(warning, 'lost');
+    } else {
+      diag.flagDefense.unwarned++;
+      console.log(`[DEFENSE T${tick}] (${flag.x},${flag.y}) lost without warning`);
+    }
+  }
+  ownedFlagIds = new Set(owned.map(f => f.id));
+
+  const pools = new Map([
+    ['runner', runners.filter(r => { const t = creepTargets.get(r.id); return !t || t.my === true; })],
+    ['ranger', army.filter(c => creepRoles.get(c.id) === ROLE_RANGER)],
+    ['vanguard', army.filter(c => creepRoles.get(c.id) === ROLE_VANGUARD)],
+  ]);
+  const threatened = [];
+  for (const flag of owned) {
+    const timed = enemies.map(e => ({ e, eta: raiderEta(e, flag) }))
+      .filter(r => r.eta <= WARNING_HORIZON || getRange(r.e, flag) <= FLAG_DEFENSE_RANGE);
+    if (timed.length > 0) {
+      threatened.push({ flag, timed, eta: Math.min(...timed.map(r => r.eta)) });
+      continue;
+    }
+    const warning = flagWarnings.get(flag.id);
+    if (!warning) continue;
+    if (enemies.some(e => raiderEta(e, flag) <= WARNING_HORIZON + WARNING_CLOSE_MARGIN)) {
+      warning.calmSince = null;
+      continue;
+    }
+    if (warning.calmSince === null) warning.calmSince = tick;
+    if (tick - warning.calmSince >= WARNING_CLOSE_TICKS) {
+      closeWarning(warning, warning.minRange <= NEAR_MISS_RANGE ? 'near_miss' : 'held');
+    }
+  }
+
+  // Most urgent flag first: it gets first pick of the responders.
+  threatened.sort((a, b) => a.eta - b.eta);
+  const taken = new Set();
+  for (const { flag, timed, eta } of threatened) {
+    const raiders = timed.map(r => r.e);
+    let warning = flagWarnings.get(flag.id);
+    if (!warning) {
+      warning = { flag, since: tick, calmSince: null, minRange: Infinity, kind: null, responderId: null };
+      flagWarnings.set(flag.id, warning);
+      diag.flagDefense.warnings++;
+    }
+    warning.flag = flag;
+    warning.calmSince = null;
+    warning.eta = eta;
+    warning.raiders = raiders.length;
+    warning.minRange = Math.min(warning.minRange, ...raiders.map(e => getRange(e, flag)));
+
+    const response = pickResponse(flag, raiders, warning.eta, pools, warning, taken);
+    const responderId = response.creep ? response.creep.id : null;
+    if (response.kind !== warning.kind || responderId !== warning.responderId) {
+      diag.flagDefense.responses[response.kind] = (diag.flagDefense.responses[response.kind] || 0) + 1;
+      console.log(`[DEFENSE T${tick}] (${flag.x},${flag.y}) ${raiders.length} raider(s) eta=${warning.eta}` +
+        ` → ${response.kind}${responderId ? ` ${responderId}` : ''}`);
+    }
+    warning.kind = response.kind;
+    warning.responderId = responderId;
+    if (!response.creep) continue;
+
+    taken.add(responderId);
+    const raider = findClosestByRange(flag, raiders);
+    const aim = response.kind === 'runner' ? flag : interceptPoint(response.creep, raider);
+    creepTargets.set(responderId, aim && getRange(aim, flag) <= FLAG_DEFENSE_RANGE ? aim : flag);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  10b · TOWER LOGISTICS — Carriers planned from container stock and tower burn
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Centroid (average position) of the main force's non-medic combat creeps
+ * (detachments are left out). Used by Medics and Rangers to stay near the fight.
+ */
+function squadCentroid() {
+  const squad = [...myVanguards, ...myRangers].filter(c => !inDetachment(c));
+  if (squad.length === 0) return null;
+  const ax = Math.round(squad.reduce((s, c) => s + c.x, 0) / squad.length);
+  const ay = Math.round(squad.reduce((s, c) => s + c.y, 0) / squad.length);
+  return { x: ax, y: ay };
+}
+
+/** Mosquito situation = the engagement simulator says this local fight is lost (§4b). */
+function isMosquitoSituation(creep) {
+  return engagementStance(creep) === 'disengage';
 }
 
 /**
@@ -834,35 +2658,6 @@ function designateTank() {
   currentTank = vanguards[0].id;
 }
 
-/**
- * Compute the formation point for a medic: 1 tile BEHIND the tank,
- * on the opposite side from the enemy threat centroid.
- * At 1 tile behind, medic is r1 from tank (heal 12/part) and r2 from enemy.
- */
-function getFormationPoint(tank) {
-  // Enemy centroid (threat direction)
-  const nearEnemies = findInRange(tank, enemies, 6);
-  if (nearEnemies.length === 0) return null; // no enemies = no need for formation
-  
-  const ex = nearEnemies.reduce((s, e) => s + e.x, 0) / nearEnemies.length;
-  const ey = nearEnemies.reduce((s, e) => s + e.y, 0) / nearEnemies.length;
-  
-  // Direction from enemies to tank (unit vector)
-  const dx = tank.x - ex;
-  const dy = tank.y - ey;
-  const mag = Math.sqrt(dx * dx + dy * dy) || 1;
-  
-  // Formation point = 1 tile behind tank (away from enemies)
-  const fx = Math.round(tank.x + (dx / mag) * 1);
-  const fy = Math.round(tank.y + (dy / mag) * 1);
-  
-  // Clamp to arena bounds
-  return {
-    x: Math.max(1, Math.min(98, fx)),
-    y: Math.max(1, Math.min(98, fy)),
-  };
-}
-
 /**
  * Find the centroid of the largest enemy cluster.
  * Used by main army to converge on the biggest enemy group.
@@ -879,112 +2674,228 @@ function findEnemyCentroid() {
       bestCenter = enemy;
     }
   }
-  // Compute centroid of that cluster
-  const cluster = findInRange(bestCenter, enemies, 10);
+  return clusterAround(bestCenter);
+}
+
+/**
+ * Centroid of the enemies within r10 of `anchor`, tagged with the anchor's id
+ * and the cluster size so a locked objective can follow the same group.
+ */
+function clusterAround(anchor) {
+  const cluster = findInRange(anchor, enemies, 10);
   const cx = Math.round(cluster.reduce((s, e) => s + e.x, 0) / cluster.length);
   const cy = Math.round(cluster.reduce((s, e) => s + e.y, 0) / cluster.length);
-  return { x: cx, y: cy };
+  return { x: cx, y: cy, anchorId: anchor.id, clusterSize: cluster.length };
 }
 
 /**
- * Assign runner targets: distribute runners across uncaptured flags.
- * Prefers undefended flags (no enemies within 8 tiles).
- * If all flags captured, runners patrol owned flags to re-defend.
+ * Assign runner targets from the flag race analysis (§5d): greedily give each
+ * runner the flag it reaches soonest among those it wins by RACE_MIN_MARGIN
+ * (its current flag gets a RACE_STICKINESS bonus), one runner per flag.
+ * Flags we would lose are skipped, and so is the flag the army is already
+ * marching on; runners left without a winnable race — or with every flag
+ * captured — patrol our flags to quickly recapture if lost.
  */
 function assignRunnerTargets(runners) {
-  if (runners.length === 0) return;
+  if (runners.length === 0) {
+    flagRaces.clear();
+    return;
+  }
   const uncaptured = [...neutralFlags, ...enemyFlags];
+  const etas = analyzeFlagRaces(runners, uncaptured);
 
-  if (uncaptured.length === 0) {
-    // All flags captured — patrol our flags to quickly recapture if lost
-    const myOwnedFlags = allFlags.filter(f => f.my === true);
-    for (let i = 0; i < runners.length; i++) {
-      const flag = myOwnedFlags[i % Math.max(1, myOwnedFlags.length)] || myFlag;
-      if (flag) creepTargets.set(runners[i].id, flag);
+  const pairs = [];
+  for (const runner of runners) {
+    const current = creepTargets.get(runner.id);
+    for (const flag of uncaptured) {
+      if (stickyObjective && sameObjective(stickyObjective, flag)) continue;
+      const eta = etas.get(runner.id).get(flag.id);
+      if (eta === Infinity || flagRaces.get(flag.id).theirs - eta < RACE_MIN_MARGIN) continue;
+      const bonus = current && current.id === flag.id ? RACE_STICKINESS : 0;
+      pairs.push({ runner, flag, score: eta - bonus });
     }
-    return;
+  }
+  pairs.sort((a, b) => a.score - b.score);
+
+  const busy = new Set();
+  const taken = new Set();
+  for (const { runner, flag } of pairs) {
+    if (busy.has(runner.id) || taken.has(flag.id)) continue;
+    creepTargets.set(runner.id, flag);
+    busy.add(runner.id);
+    taken.add(flag.id);
   }
 
-  // Prefer undefended flags (no enemies within 8)
-  const undefended = uncaptured.filter(f => findInRange(f, enemies, 8).length === 0);
-  const pool = undefended.length > 0 ? undefended : uncaptured;
+  const idle = runners.filter(r => !busy.has(r.id));
+  const myOwnedFlags = allFlags.filter(f => f.my === true);
+  for (let i = 0; i < idle.length; i++) {
+    const flag = myOwnedFlags[i % Math.max(1, myOwnedFlags.length)] || myFlag;
+    if (flag) creepTargets.set(idle[i].id, flag);
+  }
+}
 
-  // Distribute runners to different flags when possible
-  const assigned = new Set();
-  for (const runner of runners) {
-    const sorted = pool.slice().sort((a, b) => getRange(runner, a) - getRange(runner, b));
-    const target = sorted.find(f => !assigned.has(f.id)) || sorted[0];
-    creepTargets.set(runner.id, target);
-    if (target) assigned.add(target.id);
+/** Consolidate tops towers up completely; other phases stop at TOWER_CHARGE_THRESHOLD. */
+function towerChargeThreshold() {
+  return currentPhase === 2 ? 1 : TOWER_CHARGE_THRESHOLD;
+}
+
+function releaseCharger(id) {
+  const towerId = chargerToTower.get(id);
+  if (towerId && towerChargeAssigned.has(towerId)) {
+    towerChargeAssigned.get(towerId).delete(id);
+    if (towerChargeAssigned.get(towerId).size === 0) towerChargeAssigned.delete(towerId);
+  }
+  chargerToTower.delete(id);
+  chargerState.delete(id);
+  chargerSource.delete(id);
+}
+
+function carryCapacity(creep) {
+  return countActive(creep, CARRY) * CARRY_CAPACITY;
+}
+
+/** Containers within DENY_RANGE of an enemy tower: draining them starves it. */
+function isDenialContainer(container) {
+  return enemyTowers.some(t => getRange(t, container) <= DENY_RANGE);
+}
+
+/**
+ * Enemy tower damage a carrier takes draining denial container `c`: every shot
+ * a tower in range can afford before the carrier is in, done and back out past
+ * DENY_RANGE, each at the container's range (the closest it gets).
+ */
+function denialTripDamage(creep, c) {
+  const exposure = pathTicks(creep, c) + 1 + DENY_RANGE * ticksPerTile(creep);
+  let dmg = 0;
+  for (const t of enemyTowers) {
+    const range = getRange(t, c);
+    const ready = towerReadyIn(t);
+    if (range > TOWER_RANGE || ready > exposure) continue;
+    const shots = Math.min(Math.floor(towerEnergy(t) / TOWER_ENERGY_COST), 1 + Math.floor((exposure - ready) / TOWER_COOLDOWN));
+    dmg += shots * towerAttackPower(range);
+  }
+  return dmg;
+}
+
+/**
+ * Safe enough to fetch from: a tile below LOGISTICS_MAX_DANGER, or a denial
+ * container whose only excess danger is enemy tower fire the carrier outlasts
+ * without dropping under RETREAT_HP_RATIO — starving a tower is worth the hits.
+ */
+function chargeSourceSafe(creep, c) {
+  if (tileDanger(c) <= LOGISTICS_MAX_DANGER) return true;
+  if (!isDenialContainer(c) || tileDanger(c, { threat: true }) > LOGISTICS_MAX_DANGER) return false;
+  return denialTripDamage(creep, c) < creep.hits - creep.hitsMax * RETREAT_HP_RATIO;
+}
+
+/**
+ * Energy `tower` will spend over LOGISTICS_HORIZON: the larger of its observed
+ * burn rate and the shots it can fire at enemies already in range.
+ */
+function projectedTowerSpend(tower) {
+  const timer = towerTimers.get(tower.id);
+  const burn = timer ? timer.burn * LOGISTICS_HORIZON : 0;
+  const readyIn = towerReadyIn(tower);
+  if (findInRange(tower, enemies, TOWER_RANGE).length === 0 || readyIn > LOGISTICS_HORIZON) return burn;
+  const shots = 1 + Math.floor((LOGISTICS_HORIZON - readyIn) / TOWER_COOLDOWN);
+  return Math.max(burn, shots * TOWER_ENERGY_COST);
+}
+
+/**
+ * Best container for a trip `creep` → container → `tower`: the shortest trip
+ * among containers with unreserved stock that chargeSourceSafe() accepts,
+ * containers feeding an enemy tower first. `stock` maps containerId → energy
+ * not yet claimed by another carrier (defaults to the container's energy).
+ */
+function pickChargeSource(creep, tower, stock = null) {
+  let best = null;
+  for (const c of containers) {
+    const left = stock ? stock.get(c.id) || 0 : energyOf(c);
+    if (left <= 0) continue;
+    const trip = getRange(creep, c) + getRange(c, tower);
+    if (trip > LOGISTICS_MAX_TRIP || !chargeSourceSafe(creep, c)) continue;
+    const deny = isDenialContainer(c);
+    if (!best || deny > best.deny || (deny === best.deny && trip < best.trip)) best = { c, trip, deny };
   }
+  return best;
 }
 
 /**
- * Each tick: release stale assignments, then assign ONE free CARRY creep per
- * hungry tower that has at least one candidate within TOWER_ASSIGN_RADIUS.
+ * Each tick: release stale carriers, then work out how much energy every
+ * hungry tower still needs (fill target + projected spend − energy in flight)
+ * and recruit free CARRY creeps — up to TOWER_MAX_CHARGERS per tower — on the
+ * shortest safe container trips until that need is covered. Container stock
+ * is reserved per carrier so two towers never plan on the same energy.
  *
- * Energy supply: StructureContainer objects near towers.
+ * Energy supply: StructureContainer objects only.
  * (Source objects require WORK to harvest — none of our creeps have WORK.)
  */
-function assignTowerChargers() {
-  // Release: dead charger or tower now charged
-  for (const [towerId, cpId] of [...towerChargeAssigned.entries()]) {
-    const creep = myCreeps.find(c => c.id === cpId);
-    if (!creep) {
-      towerChargeAssigned.delete(towerId);
-      chargerToTower.delete(cpId);
-      chargerState.delete(cpId);
-      continue;
-    }
+function planTowerLogistics() {
+  // Release: dead carrier, lost tower, or the tower reached its fill target
+  for (const [id, towerId] of [...chargerToTower]) {
+    const creep = myCreeps.find(c => c.id === id);
     const tower = getObjectById(towerId);
-    if (!tower) {
-      towerChargeAssigned.delete(towerId);
-      chargerToTower.delete(cpId);
-      chargerState.delete(cpId);
-      continue;
-    }
-    const used = tower.store ? tower.store.getUsedCapacity(RESOURCE_ENERGY) : 0;
-    const cap  = tower.store ? tower.store.getCapacity(RESOURCE_ENERGY) : 1;
-    if (cap > 0 && (used / cap) >= TOWER_CHARGE_THRESHOLD) {
-      // Tower charged → release charger back to combat
-      towerChargeAssigned.delete(towerId);
-      chargerToTower.delete(cpId);
-      chargerState.delete(cpId);
-    }
+    if (!creep || !tower || !tower.exists) { releaseCharger(id); continue; }
+    const cap = capacityOf(tower);
+    if (cap > 0 && towerEnergy(tower) / cap >= towerChargeThreshold()) releaseCharger(id);
   }
 
-  // Assign: one free charger per still-hungry tower
-  for (const tower of myTowers) {
-    if (towerChargeAssigned.has(tower.id)) continue;
-    const used = tower.store ? tower.store.getUsedCapacity(RESOURCE_ENERGY) : 0;
-    const cap  = tower.store ? tower.store.getCapacity(RESOURCE_ENERGY) : 1;
-    if (cap === 0 || (used / cap) >= TOWER_CHARGE_THRESHOLD) continue;
-
-    // Only assign if there is a container with energy near this tower
-    const energySrc = containers.filter(c =>
-      c.store && c.store.getUsedCapacity(RESOURCE_ENERGY) > 0
-    );
-    if (energySrc.length === 0) continue;
-
-    // Candidate: free CARRY creep within TOWER_ASSIGN_RADIUS of tower
-    const candidates = myCreeps.filter(c =>
-      !chargerToTower.has(c.id) &&
-      hasActive(c, CARRY) &&
-      getRange(c, tower) <= TOWER_ASSIGN_RADIUS
-    );
-    if (candidates.length === 0) continue;
-
-    const chosen = findClosestByRange(tower, candidates);
-    if (!chosen) continue;
-    towerChargeAssigned.set(tower.id, chosen.id);
-    chargerToTower.set(chosen.id, tower.id);
-    chargerState.set(chosen.id, 'WITHDRAW');
+  // Stock left in each container once current carriers fill up
+  const stock = new Map(containers.map(c => [c.id, energyOf(c)]));
+  for (const [id, sourceId] of chargerSource) {
+    const creep = myCreeps.find(c => c.id === id);
+    if (creep && chargerState.get(id) === 'WITHDRAW' && stock.has(sourceId)) {
+      stock.set(sourceId, stock.get(sourceId) - creep.store.getFreeCapacity(RESOURCE_ENERGY));
+    }
+  }
+
+  const hungry = myTowers
+    .map(tower => {
+      const cap = capacityOf(tower);
+      let need = Math.ceil(cap * towerChargeThreshold()) - towerEnergy(tower) + projectedTowerSpend(tower);
+      for (const id of towerChargeAssigned.get(tower.id) || []) {
+        const creep = myCreeps.find(c => c.id === id);
+        if (creep) need -= chargerState.get(id) === 'WITHDRAW' ? carryCapacity(creep) : energyOf(creep);
+      }
+      return { tower, cap, need: Math.min(need, cap - towerEnergy(tower)) };
+    })
+    .filter(h => h.cap > 0 && h.need > 0 && towerEnergy(h.tower) / h.cap < towerChargeThreshold())
+    .sort((a, b) => towerEnergy(a.tower) / a.cap - towerEnergy(b.tower) / b.cap);
+  if (hungry.length === 0) return;
+
+  const free = myCreeps.filter(c =>
+    !chargerToTower.has(c.id) && !sentinelPosts.has(c.id) &&
+    hasActive(c, CARRY) && !shouldRetreat(c)
+  );
+  for (const h of hungry) {
+    const assigned = towerChargeAssigned.get(h.tower.id) || new Set();
+    while (h.need > 0 && assigned.size < TOWER_MAX_CHARGERS && free.length > 0) {
+      let best = null;
+      for (const creep of free) {
+        const trip = pickChargeSource(creep, h.tower, stock);
+        if (trip && (!best || trip.deny > best.trip.deny ||
+            (trip.deny === best.trip.deny && trip.trip < best.trip.trip))) best = { creep, trip };
+      }
+      if (!best) break;
+      const { creep, trip } = best;
+      free.splice(free.indexOf(creep), 1);
+      assigned.add(creep.id);
+      towerChargeAssigned.set(h.tower.id, assigned);
+      chargerToTower.set(creep.id, h.tower.id);
+      chargerState.set(creep.id, 'WITHDRAW');
+      chargerSource.set(creep.id, trip.c.id);
+      stock.set(trip.c.id, stock.get(trip.c.id) - carryCapacity(creep));
+      h.need -= carryCapacity(creep);
+      diag.chargersAssigned++;
+    }
   }
 }
 
 /**
  * Behavior for an explicitly assigned tower charger.
- * FSM: WITHDRAW (fetch energy from closest container) → DELIVER (transfer to tower).
+ * FSM: WITHDRAW (fetch energy from its planned container) → DELIVER (transfer
+ * to tower). Routes through the influence map so trips avoid enemy threat;
+ * an emptied or unsafe container is swapped for the next best trip.
  * Steps on BodyParts opportunistically when they are close by.
  */
 function behaviorCharger(creep) {
@@ -992,8 +2903,7 @@ function behaviorCharger(creep) {
   if (!towerId) return;
   const tower = getObjectById(towerId);
   if (!tower) {
-    chargerToTower.delete(creep.id);
-    chargerState.delete(creep.id);
+    releaseCharger(creep.id);
     return;
   }
 
@@ -1001,11 +2911,13 @@ function behaviorCharger(creep) {
   const free   = creep.store ? (creep.store.getFreeCapacity(RESOURCE_ENERGY) || 0)  : 0;
   let   state  = chargerState.get(creep.id) || 'WITHDRAW';
 
-  // Find closest container with energy (use tower position for cache efficiency)
-  const energyContainers = containers.filter(c =>
-    c.store && c.store.getUsedCapacity(RESOURCE_ENERGY) > 0
-  );
-  const src = energyContainers.length > 0 ? findClosestByRange(tower, energyContainers) : null;
+  let src = getObjectById(chargerSource.get(creep.id));
+  if (!src || !src.exists || energyOf(src) <= 0 || !chargeSourceSafe(creep, src)) {
+    const trip = pickChargeSource(creep, tower);
+    src = trip ? trip.c : null;
+    if (src) chargerSource.set(creep.id, src.id);
+    else chargerSource.delete(creep.id);
+  }
 
   // State transitions
   if (state === 'WITHDRAW' && free <= 0)   { state = 'DELIVER'; }
@@ -1018,30 +2930,31 @@ function behaviorCharger(creep) {
       if (energy > 0) {
         chargerState.set(creep.id, 'DELIVER');
         if (getRange(creep, tower) <= 1) {
-          creep.transfer(tower, RESOURCE_ENERGY);
+          deliverToTower(creep, tower, energy);
           recordAction(creep, 'harvest');
         } else {
-          creep.moveTo(tower);
+          travel(creep, tower, pathOpts());
           recordAction(creep, 'move');
         }
       } else {
         // Step on body part nearby while containers refill
         const bp = bodyParts.length > 0 ? findClosestByRange(creep, bodyParts) : null;
         if (bp && getRange(creep, bp) <= 6) {
-          creep.moveTo(bp);
+          travel(creep, bp);
         } else if (getRange(creep, tower) > 2) {
-          creep.moveTo(tower);
+          travel(creep, tower, pathOpts());
         }
         recordAction(creep, 'move');
       }
       return;
     }
     if (getRange(creep, src) <= 1) {
-      creep.withdraw(src, RESOURCE_ENERGY);
+      const amount = Math.min(free, energyOf(src));
+      if (creep.withdraw(src, RESOURCE_ENERGY) === OK && isDenialContainer(src)) diag.energyDenied += amount;
       recordAction(creep, 'harvest');
     } else {
       // Move toward container; body parts on path are auto-collected on adjacent tile
-      creep.moveTo(src);
+      travel(creep, src, pathOpts());
       recordAction(creep, 'move');
     }
     return;
@@ -1049,17 +2962,382 @@ function behaviorCharger(creep) {
 
   // DELIVER state: bring energy to tower
   if (getRange(creep, tower) <= 1) {
-    creep.transfer(tower, RESOURCE_ENERGY);
+    deliverToTower(creep, tower, energy);
     // After delivering, divert to step on any close body part
     const bp = bodyParts.length > 0 ? findClosestByRange(creep, bodyParts) : null;
-    if (bp && getRange(creep, bp) <= 4) creep.moveTo(bp);
+    if (bp && getRange(creep, bp) <= 4) travel(creep, bp);
     recordAction(creep, 'harvest');
   } else {
-    creep.moveTo(tower);
+    travel(creep, tower, pathOpts());
     recordAction(creep, 'move');
   }
 }
 
+function deliverToTower(creep, tower, energy) {
+  const amount = Math.min(energy, tower.store.getFreeCapacity(RESOURCE_ENERGY));
+  if (creep.transfer(tower, RESOURCE_ENERGY) === OK) diag.energyDelivered += amount;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  10c · SENTINELS — Flag guards while we lead on flag count
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function releaseSentinel(id, reason) {
+  const post = sentinelPosts.get(id);
+  sentinelPosts.delete(id);
+  creepRoles.set(id, post.prevRole);
+  diag.sentinelReleases[reason] = (diag.sentinelReleases[reason] || 0) + 1;
+  console.log(`[SENTINEL T${tick}] ${id} back to ${post.prevRole} (${reason})`);
+}
+
+/**
+ * Post sentinels on owned flags far from the army, one per flag, while we hold
+ * more flags than the enemy (at most one per SENTINEL_ARMY_SHARE army creeps).
+ * Existing posts are kept until the lead, the flag or the quota goes, so the
+ * army passing by doesn't churn them. Also raises/clears reinforcement alarms.
+ */
+function assignSentinels() {
+  const lead = myFlagCount() - enemyFlagCount();
+  const army = myCreeps.filter(c => {
+    const r = creepRoles.get(c.id);
+    return (r === ROLE_VANGUARD || r === ROLE_RANGER) && !chargerToTower.has(c.id);
+  });
+  const quota = Math.max(0, Math.min(lead, Math.floor((army.length + sentinelPosts.size) / SENTINEL_ARMY_SHARE)));
+
+  // ── Release ───────────────────────────────────────────────
+  let kept = 0;
+  for (const [id, post] of [...sentinelPosts]) {
+    const flag = getObjectById(post.flagId);
+    if (lead <= 0) releaseSentinel(id, 'lead');
+    else if (!flag || flag.my !== true) releaseSentinel(id, 'flag_lost');
+    else if (kept >= quota) releaseSentinel(id, 'surplus');
+    else kept++;
+  }
+
+  // ── Post: most threatened unguarded far flag first ────────
+  const centroid = squadCentroid();
+  const guarded = new Set([...sentinelPosts.values()].map(p => p.flagId));
+  const exposed = allFlags
+    .filter(f => f.my === true && !guarded.has(f.id) &&
+      (!centroid || getRange(f, centroid) > SENTINEL_ARMY_DISTANCE))
+    .sort((a, b) => nearestEnemyRange(a) - nearestEnemyRange(b));
+  const chained = new Set([...pullChains.keys(), ...pullChains.values()]);
+  for (const flag of exposed) {
+    if (sentinelPosts.size >= quota) break;
+    const candidates = army.filter(c => c.id !== currentTank && !chained.has(c.id) && !shouldRetreat(c));
+    const chosen = findClosestByRange(flag, candidates);
+    if (!chosen) break;
+    const prevRole = creepRoles.get(chosen.id);
+    sentinelPosts.set(chosen.id, { flagId: flag.id, prevRole });
+    creepRoles.set(chosen.id, ROLE_SENTINEL);
+    creepTargets.delete(chosen.id);
+    army.splice(army.indexOf(chosen), 1);
+    diag.sentinelPosts++;
+    console.log(`[SENTINEL T${tick}] ${chosen.id} (${prevRole}) posted at (${flag.x},${flag.y})`);
+  }
+
+  // ── Alarms: threats the sentinel can't handle alone ───────
+  const postedFlags = new Set([...sentinelPosts.values()].map(p => p.flagId));
+  for (const flagId of [...sentinelAlarms.keys()]) {
+    if (!postedFlags.has(flagId)) sentinelAlarms.delete(flagId);
+  }
+  for (const [id, post] of sentinelPosts) {
+    const flag = getObjectById(post.flagId);
+    const sentinel = myCreeps.find(c => c.id === id);
+    const threats = findInRange(flag, enemies, SENTINEL_GUARD_RADIUS);
+    const outmatched = threats.length > 0 &&
+      judgeEngagement(simulateEngagement([sentinel], threats)) !== 'engage';
+    if (outmatched && !sentinelAlarms.has(flag.id)) {
+      sentinelAlarms.set(flag.id, tick);
+      diag.sentinelAlarms++;
+      console.log(`[SENTINEL T${tick}] alarm at (${flag.x},${flag.y}): ${threats.length} threat(s)`);
+    } else if (!outmatched) {
+      sentinelAlarms.delete(flag.id);
+    }
+  }
+  precomputeRoleLists();
+}
+
+function nearestEnemyRange(pos) {
+  return enemies.reduce((best, e) => Math.min(best, getRange(pos, e)), Infinity);
+}
+
+/** Patrol corner for this tick: the flag's diagonals at SENTINEL_PATROL_RANGE, in turn. */
+function sentinelPatrolPoint(flag) {
+  const corners = [[1, 1], [-1, 1], [-1, -1], [1, -1]];
+  const [dx, dy] = corners[Math.floor(tick / SENTINEL_PATROL_TICKS) % corners.length];
+  const p = {
+    x: Math.max(0, Math.min(99, flag.x + dx * SENTINEL_PATROL_RANGE)),
+    y: Math.max(0, Math.min(99, flag.y + dy * SENTINEL_PATROL_RANGE)),
+  };
+  return getTerrainAt(p) === TERRAIN_WALL ? flag : p;
+}
+
+/**
+ * Sentinel movement: patrol around the flag; against threats it can take, a
+ * melee sentinel engages those on the flag's patrol ring or under a friendly
+ * tower. Otherwise — ranged sentinels, threats next to the flag, or an alarm —
+ * it holds the flag tile (blocking the capture) and fights from there.
+ */
+function behaviorSentinel(creep) {
+  const flag = getObjectById(sentinelPosts.get(creep.id).flagId);
+  const threats = findInRange(flag, enemies, SENTINEL_GUARD_RADIUS);
+  if (threats.length === 0) {
+    if (partClaims.has(creep.id) && getRange(partClaims.get(creep.id), flag) <= SENTINEL_GUARD_RADIUS) {
+      goForClaimedPart(creep);
+      return;
+    }
+    const p = sentinelPatrolPoint(flag);
+    if (getRange(creep, p) > 0) travel(creep, p, pathOpts());
+    return;
+  }
+  if (!sentinelAlarms.has(flag.id) && hasActive(creep, ATTACK)) {
+    const target = findClosestByRange(flag, threats);
+    const covered = myTowers.some(t => getRange(t, target) <= SENTINEL_COVER_RANGE);
+    if (getRange(target, flag) > 1 && (covered || getRange(target, flag) <= SENTINEL_PATROL_RANGE)) {
+      travel(creep, target, aggressivePathOpts());
+      return;
+    }
+  }
+  if (getRange(creep, flag) > 0) travel(creep, flag, pathOpts());
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  10d · BODY-PART PLANNER — Each drop to the creep that gains most from it
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Worth of one extra part of each type, by role (unlisted types: 0.5).
+const PART_VALUE = {
+  [ROLE_VANGUARD]: { [ATTACK]: 3, [TOUGH]: 2, [MOVE]: 1.5, [HEAL]: 1 },
+  [ROLE_RANGER]:   { [RANGED_ATTACK]: 3, [MOVE]: 1.5, [HEAL]: 1, [TOUGH]: 1 },
+  [ROLE_MEDIC]:    { [HEAL]: 3, [MOVE]: 1.5, [TOUGH]: 1 },
+  [ROLE_RUNNER]:   { [MOVE]: 3, [HEAL]: 1 },
+  [ROLE_SENTINEL]: { [ATTACK]: 2, [RANGED_ATTACK]: 2, [HEAL]: 2, [TOUGH]: 1 },
+};
+const claimedPartIds = new Set(); // every drop ever claimed, for diag.partClaims
+
+function partValue(creep, type) {
+  const table = PART_VALUE[creepRoles.get(creep.id)] || {};
+  let value = table[type] !== undefined ? table[type] : 0.5;
+  // Fatigue-bound creeps gain the most from a MOVE part
+  if (type === MOVE && ticksPerTile(creep) > 1) value += 1;
+  return value;
+}
+
+/** Enemy/tower threat on a tile from the influence layers, terrain base removed. */
+function tileDanger(pos, layers = { threat: true, tower: true }) {
+  const base = getTerrainAt(pos) === TERRAIN_SWAMP ? 10 : 2;
+  return Math.max(0, composeInfluence(layers).get(pos.x, pos.y) - base);
+}
+
+/**
+ * Rebuild partClaims: score every (creep, drop) pair by part value per tick of
+ * travel, drop pairs that can't arrive before decay or lie in danger, then
+ * assign greedily best-first so no two creeps chase the same drop.
+ * Chargers, towed, retreating, engaged and full-size creeps are left out.
+ */
+function planBodyPartPickups() {
+  partClaims.clear();
+  if (bodyParts.length === 0) return;
+
+  const drops = bodyParts.filter(b => tileDanger(b) <= BODYPART_MAX_DANGER);
+  const pairs = [];
+  for (const creep of myCreeps) {
+    if (chargerToTower.has(creep.id) || towedThisTick.has(creep.id)) continue;
+    if (shouldRetreat(creep) || enemyNear(creep, BODYPART_ENGAGED_RANGE)) continue;
+    if (creep.body.length >= MAX_CREEP_SIZE) continue; // full bodies can't absorb drops
+    const tpt = ticksPerTile(creep);
+    if (tpt === Infinity) continue;
+    const racing = creepRoles.get(creep.id) === ROLE_RUNNER && creepTargets.get(creep.id);
+    const maxDetour = racing ? BODYPART_DEVIATE_RANGE : BODYPART_MAX_DETOUR;
+    for (const drop of drops) {
+      const range = getRange(creep, drop);
+      if (range > maxDetour) continue;
+      const ticks = range * tpt;
+      if (drop.ticksToDecay !== undefined && ticks >= drop.ticksToDecay) continue;
+      const score = partValue(creep, drop.type) * (1 - tileDanger(drop) / 255) / (ticks + BODYPART_TRAVEL_BIAS);
+      pairs.push({ creep, drop, score });
+    }
+  }
+
+  pairs.sort((a, b) => b.score - a.score);
+  const taken = new Set();
+  for (const { creep, drop } of pairs) {
+    if (partClaims.has(creep.id) || taken.has(drop.id)) continue;
+    partClaims.set(creep.id, drop);
+    taken.add(drop.id);
+    if (!claimedPartIds.has(drop.id)) {
+      claimedPartIds.add(drop.id);
+      diag.partClaims[drop.type] = (diag.partClaims[drop.type] || 0) + 1;
+    }
+  }
+}
+
+/** Step toward this creep's claimed drop; false if it has none. */
+function goForClaimedPart(creep) {
+  const drop = partClaims.get(creep.id);
+  if (!drop) return false;
+  travel(creep, drop, pathOpts());
+  return true;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  10e · DAMAGE LEDGER — Predicted damage committed per enemy this tick
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const damageLedger = new Map(); // enemyId → damage committed by actions issued this tick
+
+/** Enemy hits left after the damage already committed this tick. */
+function remainingHits(enemy) {
+  return enemy.hits - (damageLedger.get(enemy.id) || 0);
+}
+
+function killSecured(enemy) {
+  return remainingHits(enemy) <= 0;
+}
+
+function commitDamage(enemy, amount) {
+  damageLedger.set(enemy.id, (damageLedger.get(enemy.id) || 0) + amount);
+}
+
+/**
+ * Ledger-aware target choice: `preferred` unless its kill is already secured,
+ * else the live candidate with the fewest remaining hits. If every candidate
+ * is secured the shot still goes to `preferred` (a heal may save it). A shot
+ * moved off a secured `preferred` is counted as overkill avoided.
+ */
+function ledgerTarget(candidates, preferred, damage) {
+  if (preferred && !killSecured(preferred)) return preferred;
+  const live = candidates.filter(e => !killSecured(e));
+  if (live.length === 0) return preferred || candidates[0] || null;
+  if (preferred) {
+    diag.overkillAvoided += damage;
+    diag.overkillShots++;
+  }
+  return live.reduce((b, e) => remainingHits(e) < remainingHits(b) ? e : b);
+}
+
+/** Melee swing through the ledger; `preferred` defaults to the focus target. */
+function ledgerAttack(creep, adjacent) {
+  const damage = countActive(creep, ATTACK) * ATTACK_POWER;
+  const preferred = (globalFocusTarget && adjacent.some(e => e.id === globalFocusTarget.id))
+    ? globalFocusTarget
+    : adjacent.reduce((b, c) => c.hits < b.hits ? c : b);
+  const t = ledgerTarget(adjacent, preferred, damage);
+  creep.attack(t);
+  commitDamage(t, damage);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  10f · HEAL SOLVER — Medics and idle towers matched to damaged allies
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const TANK_HEAL_RATIO    = 0.70; // tank below this HP ratio outranks every other patient
+const MAX_URGENCY_WEIGHT = 3;    // heal weight grows with (missing + incoming) / hits left, up to 3×
+const healAssignments = new Map(); // medicId → {target, ranged}
+let idleTowers = [];               // towers that didn't fire this tick (filled by towerController)
+
+/**
+ * Expected damage on each ally next tick: every enemy (and enemy tower ready to fire)
+ * is assumed to hit the nearest ally it can reach — melee within 2 (step + hit),
+ * ranged within 4, towers within TOWER_RANGE with falloff — split evenly when
+ * several allies are equally near.
+ */
+function expectedIncomingDamage() {
+  const incoming = new Map();
+  const hitNearest = (src, dmg, reach) => {
+    let nearest = [];
+    let best = reach + 1;
+    for (const c of myCreeps) {
+      const r = getRange(src, c);
+      if (r < best) { best = r; nearest = [c]; } else if (r === best) nearest.push(c);
+    }
+    for (const c of nearest) incoming.set(c.id, (incoming.get(c.id) || 0) + dmg / nearest.length);
+  };
+  for (const e of enemies) {
+    const melee  = countActive(e, ATTACK) * ATTACK_POWER;
+    const ranged = countActive(e, RANGED_ATTACK) * RANGED_ATTACK_POWER;
+    if (melee > 0)  hitNearest(e, melee, 2);
+    if (ranged > 0) hitNearest(e, ranged, 4);
+  }
+  for (const tower of enemyTowers) {
+    if (towerReadyIn(tower) > 0) continue;
+    const near = findClosestByRange(tower, myCreeps);
+    if (near) hitNearest(tower, towerAttackPower(getRange(tower, near)), TOWER_RANGE);
+  }
+  return incoming;
+}
+
+/** Heal `healer` can land on `ally` this tick (0 if out of reach). */
+function healAmount(healer, ally) {
+  const r = getRange(healer, ally);
+  if (healer instanceof StructureTower) return towerHealPower(r);
+  const parts = countActive(healer, HEAL);
+  if (r <= 1) return parts * HEAL_POWER;
+  if (r <= 3) return parts * RANGED_HEAL_POWER;
+  return 0;
+}
+
+/**
+ * Greedy global matching: repeatedly take the (healer, ally) pair restoring
+ * the most weighted effective HP — heal capped at the ally's remaining need
+ * (missing + expected incoming), weighted up the less of its hits are left
+ * against that need — until no pair helps. Patients are tiered first: a tank
+ * below TANK_HEAL_RATIO, then damaged allies, then pre-heals on full-HP allies
+ * under fire; a medic heals itself only after others. Overheal breaks ties.
+ * Towers heal immediately; medics read healAssignments in doCombatAction.
+ */
+function planHeals() {
+  healAssignments.clear();
+  const incoming = expectedIncomingDamage();
+  const need = new Map();
+  for (const c of myCreeps) {
+    const n = Math.min(c.hitsMax, c.hitsMax - c.hits + (incoming.get(c.id) || 0));
+    if (n > 0) need.set(c.id, n);
+  }
+  const healers = [
+    ...myMedics.filter(m => hasActive(m, HEAL) && !shouldRetreat(m)),
+    ...idleTowers,
+  ];
+  idleTowers = [];
+  if (need.size === 0 || healers.length === 0) return;
+
+  const patients = myCreeps.filter(c => need.has(c.id));
+  const tier = (h, c) => {
+    if (c.id === currentTank && c.hits / c.hitsMax < TANK_HEAL_RATIO) return 3;
+    if (c.hits < c.hitsMax) return c === h ? 1 : 2; // a medic patches others before itself
+    return 0;
+  };
+  const weight = c =>
+    Math.min(MAX_URGENCY_WEIGHT, 1 + (c.hitsMax - c.hits + (incoming.get(c.id) || 0)) / c.hits);
+
+  const free = new Set(healers);
+  while (free.size > 0) {
+    let best = null;
+    for (const h of free) {
+      for (const c of patients) {
+        const amount = healAmount(h, c);
+        const effective = Math.min(amount, need.get(c.id));
+        if (effective <= 0) continue;
+        const rank = tier(h, c);
+        const score = effective * weight(c);
+        const overheal = amount - effective;
+        if (!best || rank > best.rank || (rank === best.rank &&
+            (score > best.score || (score === best.score && overheal < best.overheal)))) {
+          best = { h, c, amount, effective, rank, score, overheal };
+        }
+      }
+    }
+    if (!best) break;
+    free.delete(best.h);
+    need.set(best.c.id, need.get(best.c.id) - best.effective);
+    diag.healEffective += best.effective;
+    diag.healOverheal  += best.overheal;
+    if (best.h instanceof StructureTower) best.h.heal(best.c);
+    else healAssignments.set(best.h.id, { target: best.c, ranged: getRange(best.h, best.c) > 1 });
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 //  11 · COMBAT ACTION — Decoupled from movement (fills the ATTACK/HEAL slot)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1091,42 +3369,21 @@ function doCombatAction(creep) {
     }
     if (hasActive(creep, ATTACK)) {
       const adj = findInRange(creep, enemies, 1);
-      if (adj.length > 0) { creep.attack(adj[0]); return 'attack'; }
+      if (adj.length > 0) { ledgerAttack(creep, adj); return 'attack'; }
     }
     return null;
   }
 
   if (role === ROLE_MEDIC) {
-    // Medics: healing always beats attacking.
-    // Tank gets priority heals to sustain the heal-ball formation.
-    if (hasActive(creep, HEAL)) {
-      const damaged = myCreeps.filter(c => c.hits < c.hitsMax && c.id !== creep.id);
-      const adjDmg  = findInRange(creep, damaged, 1);
-      const nearDmg = findInRange(creep, damaged, 3);
-
-      // Tank priority only when significantly damaged (<70% HP).
-      // Otherwise heal most critical ally by HP ratio — this ensures medics
-      // heal EACH OTHER when focused by enemy ranged fire instead of blindly
-      // topping off a 95% tank while a medic is at 40% HP.
-      const tank = currentTank ? damaged.find(c => c.id === currentTank) : null;
-      if (tank && (tank.hits / tank.hitsMax) < 0.70) {
-        const tankDist = getRange(creep, tank);
-        if (tankDist <= 1) { creep.heal(tank); return 'heal'; }
-        if (tankDist <= 3) { creep.rangedHeal(tank); return 'heal'; }
-      }
-
-      // Heal by HP ratio (most critical first)
-      if (adjDmg.length > 0) {
-        const t = adjDmg.reduce((b, c) => (c.hits/c.hitsMax) < (b.hits/b.hitsMax) ? c : b);
-        creep.heal(t); return 'heal';
-      }
-      if (nearDmg.length > 0) {
-        const t = nearDmg.reduce((b, c) => (c.hits/c.hitsMax) < (b.hits/b.hitsMax) ? c : b);
-        creep.rangedHeal(t); return 'heal';
-      }
-      if (creep.hits < creep.hitsMax) { creep.heal(creep); return 'heal'; }
+    // Medics: healing always beats attacking. The patient comes from the
+    // global heal solver (§10f) — tank priority and incoming damage included.
+    const plan = healAssignments.get(creep.id);
+    if (plan) {
+      if (plan.ranged) creep.rangedHeal(plan.target);
+      else creep.heal(plan.target);
+      return 'heal';
     }
-    // Nothing to heal — medics don't attack, heal uptime is paramount
+    // Nothing worth healing — medics don't attack, heal uptime is paramount
     return null;
   }
 
@@ -1134,11 +3391,9 @@ function doCombatAction(creep) {
   if (hasActive(creep, ATTACK)) {
     const adj = findInRange(creep, enemies, 1);
     if (adj.length > 0) {
-      // G09: use globalFocusTarget directly, fallback to lowest HP (no sort)
-      const t = (globalFocusTarget && adj.some(e => e.id === globalFocusTarget.id))
-        ? globalFocusTarget
-        : adj.reduce((b, c) => c.hits < b.hits ? c : b);
-      creep.attack(t); return 'attack';
+      // G09: globalFocusTarget, else lowest HP — re-aimed if the kill is secured
+      ledgerAttack(creep, adj);
+      return 'attack';
     }
   }
   if (hasActive(creep, RANGED_ATTACK)) {
@@ -1190,34 +3445,36 @@ function doMoveAction(creep) {
     const medics = myMedics;
     if (medics.length > 0) {
       const nearest = findClosestByRange(creep, medics);
-      if (nearest) { creep.moveTo(nearest, pathOpts()); return; }
+      if (nearest) { travel(creep, nearest, pathOpts()); return; }
     }
-    if (myFlag) creep.moveTo(myFlag, pathOpts());
+    if (myFlag) travel(creep, myFlag, pathOpts());
     return;
   }
 
   // ── RUNNER: dedicated flag capture — skip all combat/formation logic ─────
   if (role === ROLE_RUNNER) {
     if (bodyParts.some(b => b.x === creep.x && b.y === creep.y)) return;
+    if (goForClaimedPart(creep)) return;
     if (objective) {
       const nearEn = findInRange(creep, enemies, 6);
-      creep.moveTo(objective, nearEn.length > 0 ? pathOpts() : aggressivePathOpts());
-      return;
-    }
-    if (bodyParts.length > 0) {
-      const bp = findClosestByRange(creep, bodyParts);
-      if (bp && getRange(creep, bp) <= 8) { creep.moveTo(bp); return; }
+      travel(creep, objective, nearEn.length > 0 ? pathOpts() : aggressivePathOpts());
     }
     return;
   }
 
+  // ── SENTINEL: guard the posted flag — never follows the army ─────────────
+  if (role === ROLE_SENTINEL) {
+    behaviorSentinel(creep);
+    return;
+  }
+
   // ── P0.5: Soft pull-back — step toward nearest medic for heal ────────────
   // G03: Only rangers pull back (vanguards NEVER pull back — see shouldPullBack)
   if (shouldPullBack(creep)) {
     if (myMedics.length > 0) {
       const nearest = findClosestByRange(creep, myMedics);
       if (nearest && getRange(creep, nearest) > 1) {
-        creep.moveTo(nearest, pathOpts());
+        travel(creep, nearest, pathOpts());
         return;
       }
     }
@@ -1227,9 +3484,12 @@ function doMoveAction(creep) {
   // ── P1: Body part on same tile — stay to auto-collect ─────────────────
   if (bodyParts.some(b => b.x === creep.x && b.y === creep.y)) return;
 
+  // ── P1.2: Planned body-part pickup (§10d — only when not engaged) ──────
+  if (goForClaimedPart(creep)) return;
+
   // ── P1.5: MOSQUITO KITE-BACK — sustain & kite toward allied mass ─────
-  // Genuinely outnumbered small group? Walk toward allies or tower cover.
-  // Conservative: main army and dominant forces NEVER trigger this.
+  // The engagement simulator (§4b) predicts this local fight is lost?
+  // Walk toward allies or tower cover.
   //
   // CRITICAL: NO searchPath(flee) here. flee=true + influence map penalties
   // create conflicting forces that trap creeps in corners/swamps/dead-ends.
@@ -1258,11 +3518,19 @@ function doMoveAction(creep) {
     }
 
     if (safePoint) {
-      creep.moveTo(safePoint, pathOpts());
+      travel(creep, safePoint, pathOpts());
       return;
     }
   }
 
+  // ── P1.6: HOLD — even fight predicted: don't close in, regroup instead ─
+  // Creeps already in weapon range keep fighting (fall through to P3).
+  if (role !== ROLE_MEDIC && engagementStance(creep) === 'hold' && !enemyNear(creep, 3)) {
+    const centroid = squadCentroid();
+    if (centroid && getRange(creep, centroid) > 2) travel(creep, centroid, pathOpts());
+    return;
+  }
+
   // ── P1.7: removed — opportunity aggression was splitting rangers from squad ──
 
   // ── P2: FLAG CAPTURE — ONLY RUNNERS capture flags ──────────────────
@@ -1293,22 +3561,25 @@ function doMoveAction(creep) {
       return;
     }
 
-    // r2-r8: charge directly
-    const nearEn = findInRange(creep, enemies, 8);
+    // r2-r8: charge — aim at the pursuit intercept, not the current tile.
+    // Hopeless chases (kiting rangers) are dropped and the vanguard rejoins the objective.
+    const nearEn = findInRange(creep, enemies, 8).filter(e => !pursuitAbandoned(creep, e));
     if (nearEn.length > 0) {
       const target = (globalFocusTarget && nearEn.some(e => e.id === globalFocusTarget.id))
         ? globalFocusTarget
         : findClosestByRange(creep, nearEn);
-      if (target) {
+      const aim = target ? pursue(creep, target) : null;
+      if (aim) {
         if (getRange(creep, target) <= 2) {
-          moveToward(creep, target); // O(1), no pathfinding
+          moveToward(creep, aim); // O(1), no pathfinding
         } else {
-          creep.moveTo(target, aggressivePathOpts());
+          travel(creep, aim, aggressivePathOpts());
         }
         return;
       }
     }
-    if (objective) { creep.moveTo(objective, aggressivePathOpts()); return; }
+    if (moveToSlot(creep)) return; // §9c: nothing in reach — close up on the line
+    if (objective) { advanceToObjective(creep, objective); return; }
   }
 
   if (role === ROLE_RANGER) {
@@ -1340,19 +3611,21 @@ function doMoveAction(creep) {
           const myDistToEnemy = getRange(creep, t);
           if (myDistToEnemy > vanDistToEnemy) {
             // Behind screen — safe to approach
-            creep.moveTo(t, aggressivePathOpts()); return;
+            travel(creep, t, aggressivePathOpts()); return;
           }
-          // Ahead of screen — follow vanguard (stay grouped)
+          // Ahead of screen — fall back into our slot (§9c), else follow the vanguard
+          if (moveToSlot(creep)) return;
           if (getRange(creep, nearestVan) <= 2) {
             moveToward(creep, nearestVan);
           } else {
-            creep.moveTo(nearestVan, aggressivePathOpts());
+            travel(creep, nearestVan, aggressivePathOpts());
           }
           return;
         }
-        creep.moveTo(t, aggressivePathOpts()); return;
+        travel(creep, t, aggressivePathOpts()); return;
       }
     }
+    if (moveToSlot(creep)) return; // §9c: nothing in reach — close up on the line
   }
 
   if (role === ROLE_MEDIC) {
@@ -1386,7 +3659,7 @@ function doMoveAction(creep) {
         (c.hits / c.hitsMax) < (b.hits / b.hitsMax) ? c : b
       );
       if (getRange(creep, worst) > 1) {
-        creep.moveTo(worst, aggressivePathOpts());
+        travel(creep, worst, aggressivePathOpts());
         return;
       }
       return;
@@ -1412,25 +3685,27 @@ function doMoveAction(creep) {
       const worst = damaged.reduce((b, c) =>
         (c.hits / c.hitsMax) < (b.hits / b.hitsMax) ? c : b
       );
-      creep.moveTo(worst, moveOpts); return;
+      travel(creep, worst, moveOpts); return;
     }
 
     // M3: Follow designated TANK — position BEHIND them (opposite from enemies)
     // Use aggressivePathOpts: formation point is SAFE by construction (behind
     // vanguard), but it's within ENEMY_THREAT_RADIUS so pathOpts penalizes it.
-    const tank = currentTank ? myVanguards.find(v => v.id === currentTank) : null;
-    const followTarget = tank || (myVanguards.length > 0 ? findClosestByRange(creep, myVanguards) : null);
+    const screen = myVanguards.filter(v => sameSquad(v, creep));
+    const tank = currentTank ? screen.find(v => v.id === currentTank) : null;
+    const followTarget = tank || (screen.length > 0 ? findClosestByRange(creep, screen) : null);
     if (followTarget) {
       // LEASH: Never advance AHEAD of vanguard screen toward enemies.
       // Medics have fewer heavy parts → walk faster → outpace vanguards →
       // arrive at enemy line before melee screen exists → focused → killed.
       // Check: for the medic's nearest enemy, is ANY vanguard strictly closer?
       // If not, medic is exposed — hold or step back toward vanguard.
-      if (enemies.length > 0 && myVanguards.length > 0) {
+      // §9b paces the march; this covers contact range, where pacing stops.
+      if (enemies.length > 0 && screen.length > 0) {
         const nearestEn = findClosestByRange(creep, enemies);
         if (nearestEn) {
           const myDist = getRange(creep, nearestEn);
-          const anyVanCloser = myVanguards.some(v => getRange(v, nearestEn) < myDist);
+          const anyVanCloser = screen.some(v => getRange(v, nearestEn) < myDist);
           if (!anyVanCloser) {
             if (getRange(creep, followTarget) > 1) {
               moveToward(creep, followTarget);
@@ -1446,10 +3721,10 @@ function doMoveAction(creep) {
         moveToward(creep, followTarget);
         return;
       }
-      
-      // Navigate to formation point BEHIND vanguard with aggressive pathing
-      const fpt = getFormationPoint(followTarget);
-      creep.moveTo(fpt || followTarget, aggressivePathOpts());
+      // Formation slot (second row) while the tank faces a threat (§9c)
+      if (moveToSlot(creep)) return;
+      if (pacedHold.has(creep.id)) return; // §9b: ahead of the laggard
+      travel(creep, followTarget, aggressivePathOpts());
       return;
     }
 
@@ -1457,7 +3732,7 @@ function doMoveAction(creep) {
     if (myRangers.length > 0) {
       const nearest = findClosestByRange(creep, myRangers);
       if (nearest && getRange(creep, nearest) > 2) {
-        creep.moveTo(nearest, moveOpts); return;
+        travel(creep, nearest, moveOpts); return;
       }
     }
     // Fall through to P4
@@ -1468,39 +3743,32 @@ function doMoveAction(creep) {
   // ALL combat units use aggressivePathOpts — pathOpts() influence map
   // penalizes the objective itself (since objective = enemy centroid).
   if (role === ROLE_MEDIC) {
-    const follow = myVanguards.length > 0
-      ? findClosestByRange(creep, myVanguards)
-      : myRangers.length > 0 ? findClosestByRange(creep, myRangers) : null;
+    // Follow the medic's own squad (§9a): a detachment medic stays with the detachment
+    const screen = myVanguards.filter(v => sameSquad(v, creep));
+    const rangers = myRangers.filter(r => sameSquad(r, creep));
+    const follow = screen.length > 0
+      ? findClosestByRange(creep, screen)
+      : rangers.length > 0 ? findClosestByRange(creep, rangers) : null;
     if (follow) {
       // LEASH: same as M3 — never advance ahead of vanguard screen
-      if (enemies.length > 0 && myVanguards.length > 0) {
+      if (enemies.length > 0 && screen.length > 0) {
         const nearestEn = findClosestByRange(creep, enemies);
         if (nearestEn) {
           const myDist = getRange(creep, nearestEn);
-          const anyVanCloser = myVanguards.some(v => getRange(v, nearestEn) < myDist);
+          const anyVanCloser = screen.some(v => getRange(v, nearestEn) < myDist);
           if (!anyVanCloser) {
             if (getRange(creep, follow) > 1) moveToward(creep, follow);
             return;
           }
         }
       }
-      const fpt = getFormationPoint(follow);
-      creep.moveTo(fpt || follow, aggressivePathOpts());
+      if (moveToSlot(creep)) return; // §9c: inside the formation
+      if (pacedHold.has(creep.id)) return; // §9b: ahead of the laggard
+      travel(creep, follow, aggressivePathOpts());
       return;
     }
   }
-  if (objective) {
-    creep.moveTo(objective, aggressivePathOpts());
-    return;
-  }
-
-  // ── P5: Collect body parts (idle behavior, lowest priority) ──────────
-  if (bodyParts.length > 0) {
-    const nearest = findClosestByRange(creep, bodyParts);
-    if (nearest && getRange(creep, nearest) <= BODYPART_DEVIATE_RANGE) {
-      creep.moveTo(nearest); return;
-    }
-  }
+  if (objective) advanceToObjective(creep, objective);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1522,7 +3790,10 @@ function executeTick(creep) {
     return;
   }
 
-  doMoveAction(creep);                      // MOVE SLOT (always)
+  // MOVE SLOT (pull chains fill their own; late in a heavy tick, quiet creeps replay — §18c)
+  if (!towedThisTick.has(creep.id) && !(lowPriority(creep) && cpuMode('reuseOrders') && reuseLastOrder(creep))) {
+    doMoveAction(creep);
+  }
   recordAction(creep, combatAct || 'move');
 }
 
@@ -1535,31 +3806,28 @@ function executeTick(creep) {
 
 function towerController() {
   for (const tower of myTowers) {
-    const energy = tower.store ? tower.store.getUsedCapacity(RESOURCE_ENERGY) : 0;
-    if (energy <= 0 || tower.cooldown > 0) continue;
+    if (towerReadyIn(tower) > 0) continue;
 
     const enemiesInRange = findInRange(tower, enemies, TOWER_RANGE);
 
     if (enemiesInRange.length > 0) {
       // G06: Coordinate with globalFocusTarget for concentrated burst damage
-      // Priority: killable > globalFocusTarget > closest
-      const killable = enemiesInRange.filter(e => e.hits <= 200);
-      if (killable.length > 0) {
-        tower.attack(findClosestByRange(tower, killable)); continue;
-      }
-      if (globalFocusTarget && enemiesInRange.some(e => e.id === globalFocusTarget.id)) {
-        tower.attack(globalFocusTarget); continue;
-      }
-      tower.attack(findClosestByRange(tower, enemiesInRange)); continue;
+      // Priority: killable (at this tower's falloff) > globalFocusTarget > closest,
+      // skipping enemies another tower already killed this tick (§10e)
+      const power = e => towerAttackPower(getRange(tower, e));
+      const killable = enemiesInRange.filter(e => !killSecured(e) && remainingHits(e) <= power(e));
+      let preferred;
+      if (killable.length > 0) preferred = findClosestByRange(tower, killable);
+      else if (globalFocusTarget && enemiesInRange.some(e => e.id === globalFocusTarget.id)) preferred = globalFocusTarget;
+      else preferred = findClosestByRange(tower, enemiesInRange);
+      const t = ledgerTarget(enemiesInRange, preferred, power(preferred));
+      tower.attack(t);
+      commitDamage(t, power(t));
+      continue;
     }
 
-    // Heal damaged allies in range
-    const alliesInRange = findInRange(tower, myCreeps, TOWER_RANGE);
-    const damagedAllies = alliesInRange.filter(c => c.hits < c.hitsMax);
-    if (damagedAllies.length > 0) {
-      damagedAllies.sort((a, b) => (a.hits / a.hitsMax) - (b.hits / b.hitsMax));
-      tower.heal(damagedAllies[0]);
-    }
+    // No target: the tower is left to the heal solver (§10f)
+    idleTowers.push(tower);
   }
 }
 
@@ -1573,23 +3841,106 @@ function tryPullChain(fast, slow, destination) {
 
   if (getRange(fast, slow) <= 1) {
     fast.pull(slow);
-    fast.moveTo(destination, pathOpts());
+    travel(fast, destination, pathOpts());
     slow.moveTo(fast);
     return true;
   }
-  fast.moveTo(slow, pathOpts());
+  travel(fast, slow, pathOpts());
   return true;
 }
 
+/**
+ * Ticks per tile on `terrain` of `fast` towing `slow`: the puller carries the
+ * whole chain's fatigue with only its own MOVE parts.
+ */
+function chainTicksPerTile(fast, slow, terrain = TERRAIN_PLAIN) {
+  const move = countActive(fast, MOVE);
+  if (move === 0) return Infinity;
+  return Math.max(1, Math.ceil(stepFatigue(moveWeight(fast) + moveWeight(slow), terrain) / (FATIGUE_PER_MOVE * move)));
+}
+
+function enemyNear(creep, range) {
+  return enemies.some(e => getRange(creep, e) <= range);
+}
+
+function releasePullChain(fastId, reason) {
+  const slowId = pullChains.get(fastId);
+  pullChains.delete(fastId);
+  diag.pullReleases[reason] = (diag.pullReleases[reason] || 0) + 1;
+  console.log(`[PULL T${tick}] release ${fastId}→${slowId} (${reason})`);
+}
+
+/**
+ * Deployment planner: pairs idle fast creeps with heavy ones whose objective is
+ * far away, as long as the chain beats the heavy creep's own pace. Runs after
+ * commandLayer (objectives known) and before the creep loop; chained creeps'
+ * MOVE slot is filled here and doMoveAction skips them (see towedThisTick).
+ * Chains are released on contact, arrival, phase change or reassignment.
+ */
+function planPullChains() {
+  towedThisTick.clear();
+  const byId = new Map(myCreeps.map(c => [c.id, c]));
+  const marching = PULL_CHAIN_PHASES.has(currentPhase);
+
+  // ── Release broken chains ────────────────────────────────
+  for (const [fastId, slowId] of [...pullChains]) {
+    const fast = byId.get(fastId);
+    const slow = byId.get(slowId);
+    let reason = null;
+    if (!fast || !slow) reason = 'lost';
+    else if (!marching) reason = 'phase';
+    else if (enemyNear(fast, PULL_RELEASE_RANGE) || enemyNear(slow, PULL_RELEASE_RANGE)) reason = 'contact';
+    else if (chargerToTower.has(fastId) || chargerToTower.has(slowId) || shouldRetreat(slow)) reason = 'reassigned';
+    else if (!creepTargets.get(slowId) || getRange(slow, creepTargets.get(slowId)) <= 1) reason = 'arrived';
+    if (reason) releasePullChain(fastId, reason);
+  }
+  if (!marching) return;
+
+  // ── Form new chains: slowest heavy creeps pick first ─────
+  const chained = new Set([...pullChains.keys(), ...pullChains.values()]);
+  const free = c => !chained.has(c.id) && !chargerToTower.has(c.id) &&
+    creepRoles.get(c.id) !== ROLE_SENTINEL && !enemyNear(c, PULL_RELEASE_RANGE);
+  const haulers = myCreeps.filter(c => free(c) && ticksPerTile(c) === 1 &&
+    (creepRoles.get(c.id) !== ROLE_RUNNER || !creepTargets.get(c.id)));
+  const heavies = myCreeps
+    .filter(c => free(c) && ticksPerTile(c) > 1 && ticksPerTile(c) < Infinity &&
+      creepRoles.get(c.id) !== ROLE_RUNNER && creepTargets.get(c.id) &&
+      getRange(c, creepTargets.get(c.id)) > PULL_RELEASE_RANGE)
+    .sort((a, b) => ticksPerTile(b) - ticksPerTile(a));
+  for (const slow of heavies) {
+    const options = haulers.filter(f => !chained.has(f.id) &&
+      chainTicksPerTile(f, slow) < ticksPerTile(slow));
+    const fast = findClosestByRange(slow, options);
+    if (!fast) continue;
+    pullChains.set(fast.id, slow.id);
+    chained.add(fast.id);
+    chained.add(slow.id);
+    diag.pullChainsFormed++;
+  }
+
+  // ── Drive chains ─────────────────────────────────────────
+  for (const [fastId, slowId] of [...pullChains]) {
+    const fast = byId.get(fastId);
+    const slow = byId.get(slowId);
+    // A tired puller keeps the chain: both wait for its fatigue to drain.
+    if (fast.fatigue === 0 && !tryPullChain(fast, slow, creepTargets.get(slowId))) {
+      releasePullChain(fastId, 'arrived');
+      continue;
+    }
+    towedThisTick.add(fastId);
+    towedThisTick.add(slowId);
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 //  18 · DIAGNOSTICS & METRICS
 // ═══════════════════════════════════════════════════════════════════════════════
 
 const DIAG_INTERVAL = 100; // print compact log every N ticks
 
-// Compact per-interval summary
-function tickLog() {
-  if (tick % DIAG_INTERVAL !== 0 && tick !== 1) return;
+// Compact per-interval summary; `force` catches up on one the CPU governor deferred
+function tickLog(force = false) {
+  if (!force && tick % DIAG_INTERVAL !== 0 && tick !== 1) return;
 
   const cpu = Math.round(getCpuTime() / 1e6); // ms
   diag.cpuSamples.push(cpu);
@@ -1618,18 +3969,34 @@ function tickLog() {
       return t ? `(${t.x},${t.y})` : '(?)';
     }).join(' ');
 
+  // Flag races: predicted margin in ticks (+ we arrive first)
+  const raceInfo = [...flagRaces.values()].map(r => {
+    const m = r.margin === Infinity ? '+inf' : r.margin === -Infinity ? '-inf'
+      : Number.isNaN(r.margin) ? '?' : (r.margin >= 0 ? '+' : '') + r.margin;
+    return `(${r.flag.x},${r.flag.y}):${m}`;
+  }).join(' ');
+
+  // Squads: id:kind/size/state, detachments with their flag
+  const squadInfo = [...squads.values()].map(sq => `${sq.id}:${sq.kind}/${sq.members.size}/${sq.state}` +
+    (sq.kind !== 'main' && sq.objective ? `→(${sq.objective.x},${sq.objective.y})` : '')).join(' ');
+
   // Enemy centroid
   const ec = findEnemyCentroid();
   const ecStr = ec ? `(${ec.x},${ec.y})` : 'none';
+  const objStr = stickyObjective
+    ? `(${stickyObjective.x},${stickyObjective.y})@${tick - stickySetTick}t`
+    : 'none';
 
   console.log(
     `[T${tick}] CPU=${cpu}ms alive=${myCreeps.length} enemies=${enemies.length}` +
     ` flags(my=${myF} en=${enF} neu=${neuF})` +
     ` towers=[${towerStatus}] chargers=${chargerCount}` +
-    ` mosquito=${mosquitoCount}` +
-    ` runners=[${runnerInfo}] enemyCenter=${ecStr}` +
+    ` mosquito=${mosquitoCount} pulls=${pullChains.size} squads=[${squadInfo}] pace=${squadPace}/${pacedHold.size} form=${formationShape || '-'}` +
+    ` runners=[${runnerInfo}] races=[${raceInfo}] enemyCenter=${ecStr} objective=${objStr}` +
     ` roles=${JSON.stringify(roles)}`
   );
+  if (profileStats.size > 0) console.log(`[PROF T${tick}] ms avg/peak ${profileBreakdown()}`);
+  if (enemyGroups.length > 0) console.log(`[ENEMY T${tick}] ${enemyModelSummary()}`);
 }
 
 // Detect creeps that had no recorded action this tick
@@ -1700,6 +4067,34 @@ function dumpEndGameDiag() {
   console.log(`Start roster: ${JSON.stringify(diag.startRoster)}`);
   console.log(`Death events (${diag.deathEvents.length}): ` + diag.deathEvents.map(e => `T${e.tick}:${e.role}`).join(' | '));
   console.log(`Flag events (${diag.flagEvents.length}): ` + diag.flagEvents.map(e => `T${e.tick}:${e.type}`).join(' | '));
+  const lockReasons = {};
+  for (const e of diag.objectiveEvents) lockReasons[e.reason] = (lockReasons[e.reason] || 0) + 1;
+  console.log(`Objective locks (${diag.objectiveEvents.length}): ${JSON.stringify(lockReasons)}`);
+  console.log(`Sentinels: posted=${diag.sentinelPosts} alarms=${diag.sentinelAlarms} released=${JSON.stringify(diag.sentinelReleases)}`);
+  console.log(`Body parts claimed: ${JSON.stringify(diag.partClaims)}`);
+  console.log(`Tower logistics: chargers=${diag.chargersAssigned} delivered=${diag.energyDelivered} denied=${diag.energyDenied}`);
+  console.log(`Heals planned: effective=${diag.healEffective} overheal=${diag.healOverheal}`);
+  console.log(`Overkill avoided: ${diag.overkillAvoided} dmg over ${diag.overkillShots} re-aimed shots`);
+  console.log(`Pull chains: formed=${diag.pullChainsFormed} released=${JSON.stringify(diag.pullReleases)}`);
+  console.log(`Squad pace: paced holds=${diag.pacedHolds}`);
+  console.log(`Formations: ${JSON.stringify(diag.formationTicks)}`);
+  const ps = diag.pathStats;
+  console.log(`Path cache: steps reused=${ps.hits} planned=${ps.plans} incomplete=${ps.incomplete} invalidated layers=${ps.layerInvalidations}` +
+    ` blocked=${ps.blockedInvalidations} expired=${ps.expired}`);
+  const degraded = Object.entries(diag.cpuDegradations).map(([m, n]) => `${m}=${n}t`).join(' ') || 'never';
+  printHotSpots();
+  console.log(`Enemy intents: ${JSON.stringify(diag.enemyIntents)}`);
+  const fd = diag.flagDefense;
+  console.log(`Flag defense: warnings=${fd.warnings} held=${fd.held} near-miss=${fd.near_miss} lost=${fd.lost}` +
+    ` unwarned=${fd.unwarned} responses=${JSON.stringify(fd.responses)}`);
+  console.log(`CPU governor: ${degraded} reused orders=${diag.reusedOrders}` +
+    (diag.cpuEvents.length ? ` first=${diag.cpuEvents[0].mode}@T${diag.cpuEvents[0].tick}` : ''));
+  console.log(`Terrain: regions=${regions.length} chokepoints=${chokepoints.length} choke-hold ticks=${diag.chokeHoldTicks}`);
+  for (const [id, st] of Object.entries(diag.squadStats)) {
+    console.log(`Squad ${id} (${st.kind}): T${st.formed}–${st.ended === null ? 'end' : `T${st.ended} ${st.endReason}`}` +
+      ` joined=${st.joined} lost=${st.lost} peak=${st.peak} engaged=${st.engagedTicks}t`);
+  }
+  console.log('Phases: ' + diag.phaseEvents.map(e => `T${e.tick}:${PHASE_NAMES[e.to]}`).join(' → '));
   console.log(`Total idle creep-ticks: ${totalIdle}`);
   console.log(`CPU samples: avg=${cpuAvg}ms max=${cpuMax}ms over ${diag.cpuSamples.length} intervals`);
   console.log('Action counts by role:');
@@ -1717,22 +4112,385 @@ function dumpEndGameDiag() {
   }
   console.log('=== END DIAGNOSTICS ===');
 }
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  18b · MATCH RECORDER — Opt-in per-tick world + action log
+// ═══════════════════════════════════════════════════════════════════════════════
+//
+// Line format (parsed by sim/replay.mjs — keep both sides in sync):
+//   @RV <version> ticksLimit=<n>                       once, before the first tick
+//   @RM<y> <100 terrain digits>                        once per map row, after @RV
+//   @R<tick>.<chunk>/<chunks> <payload slice>          payload split at RECORD_CHUNK_CHARS
+// Payload = sections joined by '|', records by ';', fields by ',':
+//   C:id,my,x,y,hits,hitsMax,fatigue,energy,body   body = one letter per part (PART_CODES)
+//   B:id,x,y,part,ticksToDecay
+//   F:id,x,y,owner                                  owner = 1 mine / 0 enemy / - neutral
+//   T:id,x,y,owner,energy,capacity,cooldown
+//   K:id,x,y,energy,capacity
+//   A:id,method,arg,result                          arg = target id, x:y, or direction
+
+const RECORD_FORMAT_VERSION = 1;
+const PART_CODES = {
+  [MOVE]: 'm', [ATTACK]: 'a', [RANGED_ATTACK]: 'r', [HEAL]: 'h',
+  [CARRY]: 'c', [WORK]: 'w', [TOUGH]: 't',
+};
+const RECORDED_CREEP_METHODS = [
+  'move', 'moveTo', 'attack', 'rangedAttack', 'rangedMassAttack',
+  'heal', 'rangedHeal', 'pull', 'transfer', 'withdraw',
+];
+const RECORDED_TOWER_METHODS = ['attack', 'heal'];
+
+let recordingEnabled     = RECORD_MATCH;
+let recordHeaderEmitted  = false;
+let actionHooksInstalled = false;
+const HOOK_ORIGINAL      = Symbol.for('arena-bot.hookOriginal'); // shared by every loaded copy of this module
+const recordedActions    = []; // "id,method,arg,result" issued this tick
+
+function encodeActionArg(arg) {
+  if (arg === undefined || arg === null) return '';
+  if (typeof arg === 'object') return arg.id !== undefined ? String(arg.id) : `${arg.x}:${arg.y}`;
+  return String(arg);
+}
+
+function ownerCode(my) {
+  return my === true ? '1' : my === false ? '0' : '-';
+}
+
+function energyOf(obj) {
+  return obj.store ? (obj.store.getUsedCapacity(RESOURCE_ENERGY) || 0) : 0;
+}
+
+function capacityOf(obj) {
+  return obj.store ? (obj.store.getCapacity(RESOURCE_ENERGY) || 0) : 0;
+}
+
+/**
+ * Wrap our creeps' and towers' intent methods so every call is logged with its
+ * return code. The prototypes are shared by every loaded copy of this module
+ * (each sim run imports a fresh one), so a wrapper keeps its original under
+ * HOOK_ORIGINAL and replaces, rather than wraps, another copy's hook.
+ */
+function installActionHooks() {
+  if (actionHooksInstalled) return;
+  actionHooksInstalled = true;
+  const wrap = (proto, name) => {
+    const current = proto[name];
+    if (typeof current !== 'function') return;
+    const orig = current[HOOK_ORIGINAL] || current;
+    const hook = function (...args) {
+      const rc = orig.apply(this, args);
+      if (recordingEnabled && this.my === true) {
+        recordedActions.push(`${this.id},${name},${encodeActionArg(args[0])},${rc}`);
+      }
+      return rc;
+    };
+    hook[HOOK_ORIGINAL] = orig;
+    proto[name] = hook;
+  };
+  for (const name of RECORDED_CREEP_METHODS) wrap(Creep.prototype, name);
+  for (const name of RECORDED_TOWER_METHODS) wrap(StructureTower.prototype, name);
+}
+
+/** Put the unwrapped intent methods back, whichever copy of the module hooked them. */
+function removeActionHooks() {
+  if (!actionHooksInstalled) return;
+  actionHooksInstalled = false;
+  const unwrap = (proto, name) => {
+    const current = proto[name];
+    if (typeof current === 'function' && current[HOOK_ORIGINAL]) proto[name] = current[HOOK_ORIGINAL];
+  };
+  for (const name of RECORDED_CREEP_METHODS) unwrap(Creep.prototype, name);
+  for (const name of RECORDED_TOWER_METHODS) unwrap(StructureTower.prototype, name);
+}
+
+/** Serialize this tick's world and our actions; called at the end of loop(). */
+function recordTick() {
+  if (!recordingEnabled) return;
+  if (!recordHeaderEmitted) {
+    recordHeaderEmitted = true;
+    console.log(`@RV ${RECORD_FORMAT_VERSION} ticksLimit=${arenaInfo.ticksLimit}`);
+    for (let y = 0; y < 100; y++) {
+      let row = '';
+      for (let x = 0; x < 100; x++) row += getTerrainAt({ x, y });
+      console.log(`@RM${y} ${row}`);
+    }
+  }
+
+  const creepRec = c => [
+    c.id, c.my ? 1 : 0, c.x, c.y, c.hits, c.hitsMax, c.fatigue || 0, energyOf(c),
+    c.body.map(p => PART_CODES[p.type] || '?').join(''),
+  ].join(',');
+  const payload = [
+    'C:' + [...myCreeps, ...enemies].map(creepRec).join(';'),
+    'B:' + bodyParts.map(b => [b.id, b.x, b.y, PART_CODES[b.type] || '?', b.ticksToDecay].join(',')).join(';'),
+    'F:' + allFlags.map(f => [f.id, f.x, f.y, ownerCode(f.my)].join(',')).join(';'),
+    'T:' + allTowers.map(t =>
+      [t.id, t.x, t.y, ownerCode(t.my), energyOf(t), capacityOf(t), t.cooldown || 0].join(',')).join(';'),
+    'K:' + containers.map(k => [k.id, k.x, k.y, energyOf(k), capacityOf(k)].join(',')).join(';'),
+    'A:' + recordedActions.join(';'),
+  ].join('|');
+  recordedActions.length = 0;
+
+  const chunks = Math.max(1, Math.ceil(payload.length / RECORD_CHUNK_CHARS));
+  for (let i = 0; i < chunks; i++) {
+    const slice = payload.slice(i * RECORD_CHUNK_CHARS, (i + 1) * RECORD_CHUNK_CHARS);
+    console.log(`@R${tick}.${i + 1}/${chunks} ${slice}`);
+  }
+}
+
+/** Toggle the recorder at runtime (used by offline replays; the arena only calls loop). */
+export function setMatchRecording(on) {
+  recordingEnabled = !!on;
+  if (recordingEnabled) installActionHooks();
+  else removeActionHooks();
+}
+
+/**
+ * Commander-side view of the current tick for offline replays: the decisions
+ * that are not visible in the action log (roles, objectives, focus, tank),
+ * plus the live diag counters that sim scenarios check.
+ */
+export function debugSnapshot() {
+  return {
+    tick,
+    phase: currentPhase,
+    focus: globalFocusTarget ? globalFocusTarget.id : null,
+    tank: currentTank,
+    objective: stickyObjective ? `${stickyObjective.x}:${stickyObjective.y}` : null,
+    diag,
+    creeps: myCreeps.map(c => {
+      const t = creepTargets.get(c.id);
+      return {
+        id: c.id,
+        role: creepRoles.get(c.id) || '?',
+        target: t ? `${t.x}:${t.y}` : null,
+        charger: chargerToTower.get(c.id) || null,
+        retreat: shouldRetreat(c),
+        mosquito: isMosquitoSituation(c),
+      };
+    }),
+  };
+}
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// ═══════════════════════════════════════════════════════════════════════════════
+//  18c · CPU GOVERNOR — Stage timing and graceful degradation near the budget
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Each cheaper mode switches on once the tick so far — or each of the last
+// CPU_SUSTAIN_TICKS ticks, so one spike doesn't carry — has used
+// CPU_DEGRADE_AT[mode] of the budget, and stays on for the rest of the tick.
+// Nothing degrades in the first CPU_WARMUP_TICKS. Modes in order of what they give up:
+//   deferDiagnostics  tickLog waits for a calmer tick, no visuals
+//   skipInfluence     layers keep last refresh (never older than INFLUENCE_MAX_STALE)
+//   lowMaxOps         path searches capped at PATH_MAX_OPS_DEGRADED
+//   reuseOrders       quiet creeps repeat last tick's step (move slot only)
+let cpuBudgetMs      = CPU_TICK_BUDGET_MS;
+let cpuMark          = 0;         // getCpuTime() at the end of the previous stage
+let cpuStageMs       = {};        // stage → ms this tick
+let recentLoads      = [];        // last CPU_SUSTAIN_TICKS ticks' CPU as a fraction of their budget
+let cpuModes         = new Set(); // modes switched on this tick
+let lastCpuModes     = new Set();
+let tickLogDeferred  = false;
+const lastPositions  = new Map(); // creepId → {x, y, target, reused} at the end of last tick's loop
+const reusedThisTick = new Set(); // creeps whose step reuseLastOrder() replayed this tick
+
+function tickBudgetMs() {
+  return tick <= 1 ? CPU_FIRST_TICK_BUDGET_MS : cpuBudgetMs;
+}
+
+/** Close the timing of a loop() stage (also a profiler sample, §18d). */
+function cpuStage(name) {
+  const now = getCpuTime();
+  cpuStageMs[name] = (now - cpuMark) / 1e6;
+  cpuMark = now;
+  profileAdd(`stage:${name}`, cpuStageMs[name]);
+}
+
+function heaviestStage() {
+  let best = null;
+  for (const [name, ms] of Object.entries(cpuStageMs)) if (!best || ms > cpuStageMs[best]) best = name;
+  return best;
+}
+
+/** Is the cheaper `mode` on? Switches it on (and records it) when the load calls for it. */
+function cpuMode(mode) {
+  if (cpuModes.has(mode)) return true;
+  if (tick <= CPU_WARMUP_TICKS) return false;
+  const sustained = recentLoads.length < CPU_SUSTAIN_TICKS ? 0 : Math.min(...recentLoads);
+  const load = Math.max(sustained, getCpuTime() / 1e6 / tickBudgetMs());
+  if (load < CPU_DEGRADE_AT[mode]) return false;
+  cpuModes.add(mode);
+  diag.cpuDegradations[mode] = (diag.cpuDegradations[mode] || 0) + 1;
+  if (!lastCpuModes.has(mode)) {
+    const ms = Math.round(getCpuTime() / 1e6);
+    const stage = heaviestStage();
+    if (diag.cpuEvents.length < CPU_EVENT_LOG) diag.cpuEvents.push({ tick, mode, ms, stage });
+    console.log(`[CPU T${tick}] ${mode} on: ${ms}ms used, load ${Math.round(load * 100)}%, heaviest stage ${stage || '-'}`);
+  }
+  return true;
+}
+
+function beginCpuTick() {
+  cpuMark = getCpuTime();
+  cpuStageMs = {};
+  lastCpuModes = cpuModes;
+  cpuModes = new Set();
+}
+
+function endCpuTick() {
+  recentLoads.push(getCpuTime() / 1e6 / tickBudgetMs());
+  if (recentLoads.length > CPU_SUSTAIN_TICKS) recentLoads.shift();
+  for (const c of myCreeps) {
+    const prev = lastPositions.get(c.id);
+    const reused = reusedThisTick.has(c.id) ? (prev ? prev.reused : 0) + 1 : 0;
+    lastPositions.set(c.id, { x: c.x, y: c.y, target: targetKey(c), reused });
+  }
+  reusedThisTick.clear();
+  foldProfile();
+}
+
+function targetKey(creep) {
+  const t = creepTargets.get(creep.id);
+  return t ? `${t.x},${t.y}` : null;
+}
+
+/**
+ * Cheap to replay: no enemy close, not hurt, not hauling, towed or healing,
+ * and nothing this tick — objective, pace hold, formation slot — that would
+ * change its step.
+ */
+function lowPriority(creep) {
+  const prev = lastPositions.get(creep.id);
+  return !enemyNear(creep, LOW_PRIORITY_ENEMY_RANGE) && creep.hits === creep.hitsMax &&
+    !chargerToTower.has(creep.id) && !towedThisTick.has(creep.id) && !healAssignments.has(creep.id) &&
+    !pacedHold.has(creep.id) && !formationSlots.has(creep.id) &&
+    prev !== undefined && prev.target === targetKey(creep);
+}
+
+/**
+ * Repeat the step the creep took last tick. False if it stood still, the step
+ * is walled or no longer closes on its target, or it already replayed
+ * CPU_REUSE_STREAK steps in a row — a path bends, a replayed step doesn't.
+ */
+function reuseLastOrder(creep) {
+  const prev = lastPositions.get(creep.id);
+  const target = creepTargets.get(creep.id);
+  if (!prev || !target || prev.reused >= CPU_REUSE_STREAK || (prev.x === creep.x && prev.y === creep.y)) return false;
+  const dx = creep.x - prev.x;
+  const dy = creep.y - prev.y;
+  const next = { x: creep.x + dx, y: creep.y + dy };
+  if (isWallIdx(next.x, next.y) || getRange(next, target) >= getRange(creep, target)) return false;
+  creep.move(getDirection(dx, dy));
+  reusedThisTick.add(creep.id);
+  diag.reusedOrders++;
+  return true;
+}
+
+function pathMaxOps() {
+  return cpuMode('lowMaxOps') ? PATH_MAX_OPS_DEGRADED : PATH_MAX_OPS;
+}
+
+/** Set the per-tick CPU budget in ms (offline stress runs; the arena keeps the default). */
+export function setCpuBudget(ms) {
+  cpuBudgetMs = ms;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  18d · PROFILER — Per-stage, per-role and hot-spot CPU, averaged per tick
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Samples add up within a tick (every vanguard's behavior lands in one
+// `role:vanguard` figure), then fold into a rolling average and a peak.
+// Names: `stage:<loop stage>` (§18c cpuStage), `role:<role>`, and bare
+// hot spots wrapped with profiled().
+const PROFILE_EMA_ALPHA = 0.1; // weight of the newest tick in the rolling average (~10 ticks)
+const PROFILE_TOP_N     = 8;   // rows in the end-of-match hot-spot table
+
+const profileTick  = new Map(); // name → {ms, calls} this tick
+const profileStats = new Map(); // name → {avg, peak, peakTick, total, calls, ticks}
+
+function profileAdd(name, ms) {
+  const cur = profileTick.get(name);
+  if (cur) { cur.ms += ms; cur.calls++; }
+  else profileTick.set(name, { ms, calls: 1 });
+}
+
+/** Run `fn`, charging its CPU to `name`. */
+function profiled(name, fn) {
+  const start = getCpuTime();
+  try {
+    return fn();
+  } finally {
+    profileAdd(name, (getCpuTime() - start) / 1e6);
+  }
+}
+
+/** Fold this tick's samples into the rolling stats; names idle this tick decay toward 0. */
+function foldProfile() {
+  for (const name of profileTick.keys()) {
+    if (!profileStats.has(name)) {
+      profileStats.set(name, { avg: 0, peak: 0, peakTick: 0, total: 0, calls: 0, ticks: 0 });
+    }
+  }
+  for (const [name, s] of profileStats) {
+    const cur = profileTick.get(name);
+    const ms = cur ? cur.ms : 0;
+    s.avg += (ms - s.avg) * PROFILE_EMA_ALPHA;
+    if (!cur) continue;
+    s.total += ms;
+    s.calls += cur.calls;
+    s.ticks++;
+    if (ms > s.peak) { s.peak = ms; s.peakTick = tick; }
+  }
+  profileTick.clear();
+}
+
+const fmtMs = ms => ms.toFixed(ms < 10 ? 2 : 1);
+
+/** One-line breakdown for tickLog: stages, then roles, as avg/peak ms. */
+function profileBreakdown() {
+  const part = prefix => [...profileStats]
+    .filter(([name]) => name.startsWith(prefix))
+    .map(([name, s]) => `${name.slice(prefix.length)}=${fmtMs(s.avg)}/${fmtMs(s.peak)}`)
+    .join(' ');
+  return `stages[${part('stage:')}] roles[${part('role:')}]`;
+}
+
+/** Top-N names by total CPU, stage totals excluded (they contain everything else). */
+function printHotSpots() {
+  const rows = [...profileStats]
+    .filter(([name]) => !name.startsWith('stage:'))
+    .sort((a, b) => b[1].total - a[1].total)
+    .slice(0, PROFILE_TOP_N);
+  console.log(`Hot spots (top ${rows.length} by total ms; avg per active tick, peak):`);
+  for (const [name, s] of rows) {
+    console.log(`  ${name.padEnd(22)} total=${fmtMs(s.total).padStart(8)} avg=${fmtMs(s.total / s.ticks).padStart(6)}` +
+      ` peak=${fmtMs(s.peak)}@T${s.peakTick} calls=${s.calls}`);
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 //  19 · MAIN LOOP — Per-Tick Orchestrator
 // ═══════════════════════════════════════════════════════════════════════════════
 
 export function loop() {
+  beginCpuTick();
+
   // ─── SENSE ──────────────────────────────────────────────
   refreshWorldState();
   trackEnemyVelocity(); // G12: enemy velocity for interception prediction
+  updateEnemyModel();   // §4d: roles, groups, intent
+  cpuStage('sense');
 
   // ─── INITIALIZATION (first tick) ────────────────────────
   if (!initialized) {
     assignRoles();
-    buildInfluenceMap();
+    buildStaticLayers();
+    analyzeTerrain();
+    if (recordingEnabled) installActionHooks();
     initialized = true;
+    cpuStage('init');
   }
 
   // ─── PERIODIC ROLE RE-EVALUATION ────────────────────────
@@ -1743,31 +4501,68 @@ export function loop() {
   // ─── PRE-COMPUTE ROLE LISTS ────────────────────────────
   precomputeRoleLists(); // G08: eliminates redundant .filter() calls per tick
 
-  // ─── REFRESH INFLUENCE MAP ─────────────────────────────
-  getInfluenceMap();
+  // ─── PHASE CONTROLLER ──────────────────────────────────
+  updatePhase();
+  cpuStage('roles');
+
+  // ─── INFLUENCE LAYERS — restamp around units that moved ─
+  updateInfluenceLayers();
+  prunePathTrees();
+  cpuStage('influence');
 
   // ─── REFRESH TOWER LIST (captures change ownership) ────
   myTowers = allTowers.filter(t => t.my === true);
 
-  // ─── TOWER ACTIONS ──────────────────────────────────────
+  // ─── TOWER ACTIONS (first shooters into the damage ledger) ──
+  damageLedger.clear();
   towerController();
+  cpuStage('towers');
 
-  // ─── ASSIGN TOWER CHARGERS (one per hungry tower) ────────
-  assignTowerChargers();
+  // ─── HEAL SOLVER — medics + idle towers → damaged allies ──
+  planHeals();
+  cpuStage('heals');
+
+  // ─── ASSIGN TOWER CHARGERS (several per hungry tower) ─────
+  planTowerLogistics();
+
+  // ─── SENTINELS — post/release flag guards, raise alarms ───
+  assignSentinels();
 
   // ─── COMMANDER LAYER — global objective assignment ────────
   commandLayer();
+  cpuStage('commander');
+
+  // ─── PULL CHAINS — tow heavy creeps while marching ────────
+  planPullChains();
+
+  // ─── SQUAD PACE — hold members that outrun the laggard ────
+  planSquadPace();
 
-  // ─── CREEP ACTIONS ──────────────────────────────────────
+  // ─── FORMATION — slots around the tank on the threat axis ─
+  planFormation();
+
+  // ─── BODY-PART PLANNER — one drop per creep, none shared ──
+  planBodyPartPickups();
+  cpuStage('planning');
+
+  // ─── CREEP ACTIONS ───────────────────────────────────────
   for (const creep of myCreeps) {
     if (creep.spawning) continue;
-    executeTick(creep);
+    profiled(`role:${creepRoles.get(creep.id) || 'unknown'}`, () => executeTick(creep));
   }
+  cpuStage('creeps');
 
-  // ─── DIAGNOSTICS ────────────────────────────────────────
+  // ─── DIAGNOSTICS (deferred when CPU is short) ───────────
   detectAndLogIdle();
-  tickLog();
-  drawVisuals();
+  if (cpuMode('deferDiagnostics')) {
+    tickLogDeferred = tickLogDeferred || tick % DIAG_INTERVAL === 0;
+  } else {
+    tickLog(tickLogDeferred);
+    tickLogDeferred = false;
+    drawVisuals();
+  }
+  recordTick();
+  cpuStage('diagnostics');
 
   // ─── END-OF-GAME DUMP ───────────────────────────────────
   const isLastTick = tick >= (arenaInfo.ticksLimit - 1);
@@ -1775,4 +4570,5 @@ export function loop() {
   if (isLastTick || allDead) {
     dumpEndGameDiag();
   }
+  endCpuTick();
 }
\ No newline at end of file
@@ -0,0 +1,26 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIM · game — aggregate module plus the per-match arenaInfo
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { world } from '../state.mjs';
+
+export * from './constants.mjs';
+export * as constants from './constants.mjs';
+export * from './prototypes.mjs';
+export * as prototypes from './prototypes.mjs';
+export * from './path-finder.mjs';
+export * as pathFinder from './path-finder.mjs';
+export * from './utils.mjs';
+export * as utils from './utils.mjs';
+export * from './visual.mjs';
+export * as visual from './visual.mjs';
+
+/** Live view of the active scenario's arena settings. */
+export const arenaInfo = {
+  name: 'Capture the Flag',
+  level: 1,
+  season: 'season_2',
+  get ticksLimit()           { return world().ticksLimit; },
+  get cpuTimeLimit()         { return world().cpuTimeLimit; },
+  get cpuTimeLimitFirstTick() { return world().cpuTimeLimitFirstTick; },
+};
@@ -0,0 +1,181 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIM · game/path-finder — CostMatrix + 8-way A* / flee search over the terrain
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { world } from '../state.mjs';
+import { TERRAIN_WALL, TERRAIN_SWAMP } from './constants.mjs';
+
+const SIZE = 100;
+
+export class CostMatrix {
+  constructor() {
+    this._bits = new Uint8Array(SIZE * SIZE);
+  }
+
+  get(x, y) {
+    return this._bits[x * SIZE + y];
+  }
+
+  set(x, y, cost) {
+    this._bits[x * SIZE + y] = Math.max(0, Math.min(255, cost | 0));
+  }
+
+  clone() {
+    const cm = new CostMatrix();
+    cm._bits.set(this._bits);
+    return cm;
+  }
+}
+
+// ─── Binary min-heap keyed by f-score (tile indices only) ────────────────────
+class OpenHeap {
+  constructor() {
+    this.items = [];
+    this.keys  = [];
+  }
+
+  get size() { return this.items.length; }
+
+  push(item, key) {
+    const { items, keys } = this;
+    let i = items.length;
+    items.push(item);
+    keys.push(key);
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (keys[p] <= key) break;
+      items[i] = items[p]; keys[i] = keys[p];
+      i = p;
+    }
+    items[i] = item; keys[i] = key;
+  }
+
+  pop() {
+    const { items, keys } = this;
+    const top = items[0];
+    const lastItem = items.pop();
+    const lastKey  = keys.pop();
+    if (items.length > 0) {
+      let i = 0;
+      const n = items.length;
+      for (;;) {
+        const l = 2 * i + 1;
+        if (l >= n) break;
+        const r = l + 1;
+        const c = (r < n && keys[r] < keys[l]) ? r : l;
+        if (keys[c] >= lastKey) break;
+        items[i] = items[c]; keys[i] = keys[c];
+        i = c;
+      }
+      items[i] = lastItem; keys[i] = lastKey;
+    }
+    return top;
+  }
+}
+
+function normalizeGoals(goal) {
+  const list = Array.isArray(goal) ? goal : [goal];
+  return list.map(g => (g && g.pos)
+    ? { x: g.pos.x, y: g.pos.y, range: g.range || 0 }
+    : { x: g.x, y: g.y, range: 0 });
+}
+
+/**
+ * Find an optimal path between origin and goal(s). Mirrors the arena contract:
+ * non-zero CostMatrix entries override terrain cost, 255 is impassable, and
+ * flee=true searches for the cheapest tile out of range of every goal.
+ */
+export function searchPath(origin, goal, options = {}) {
+  const {
+    costMatrix,
+    plainCost = 2,
+    swampCost = 10,
+    flee = false,
+    maxOps = 50000,
+    maxCost = Infinity,
+    heuristicWeight = 1.2,
+  } = options;
+  const w = world();
+  const goals = normalizeGoals(goal);
+  const minCost = Math.max(1, Math.min(plainCost, swampCost));
+
+  const tileCost = (x, y) => {
+    if (costMatrix) {
+      const c = costMatrix.get(x, y);
+      if (c >= 255) return Infinity;
+      if (c > 0) return c;
+    }
+    const t = w.terrainAt(x, y);
+    if (t === TERRAIN_WALL) return Infinity;
+    return t === TERRAIN_SWAMP ? swampCost : plainCost;
+  };
+
+  // Distance-to-done estimate for a tile (0 means the tile satisfies the search)
+  const remaining = (x, y) => {
+    if (flee) {
+      let worst = 0;
+      for (const g of goals) {
+        const d = Math.max(Math.abs(g.x - x), Math.abs(g.y - y));
+        worst = Math.max(worst, g.range - d);
+      }
+      return worst;
+    }
+    let best = Infinity;
+    for (const g of goals) {
+      const d = Math.max(Math.abs(g.x - x), Math.abs(g.y - y));
+      best = Math.min(best, Math.max(0, d - g.range));
+    }
+    return best;
+  };
+
+  const start = origin.x * SIZE + origin.y;
+  const g = new Float64Array(SIZE * SIZE).fill(Infinity);
+  const parent = new Int32Array(SIZE * SIZE).fill(-1);
+  const closed = new Uint8Array(SIZE * SIZE);
+  const open = new OpenHeap();
+  g[start] = 0;
+  open.push(start, remaining(origin.x, origin.y) * minCost * heuristicWeight);
+
+  let ops = 0;
+  let found = -1;
+  let bestIdx = start;
+  let bestH = remaining(origin.x, origin.y);
+
+  while (open.size > 0 && ops < maxOps) {
+    const cur = open.pop();
+    if (closed[cur]) continue;
+    closed[cur] = 1;
+    ops++;
+    const cx = (cur / SIZE) | 0;
+    const cy = cur % SIZE;
+    const h = remaining(cx, cy);
+    if (h <= 0) { found = cur; break; }
+    if (h < bestH) { bestH = h; bestIdx = cur; }
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        if (dx === 0 && dy === 0) continue;
+        const nx = cx + dx;
+        const ny = cy + dy;
+        if (nx < 0 || nx >= SIZE || ny < 0 || ny >= SIZE) continue;
+        const ni = nx * SIZE + ny;
+        if (closed[ni]) continue;
+        const step = tileCost(nx, ny);
+        if (step === Infinity) continue;
+        const ng = g[cur] + step;
+        if (ng > maxCost || ng >= g[ni]) continue;
+        g[ni] = ng;
+        parent[ni] = cur;
+        open.push(ni, ng + remaining(nx, ny) * minCost * heuristicWeight);
+      }
+    }
+  }
+
+  const end = found >= 0 ? found : bestIdx;
+  const path = [];
+  for (let i = end; i !== start && i >= 0; i = parent[i]) {
+    path.push({ x: (i / SIZE) | 0, y: i % SIZE });
+  }
+  path.reverse();
+  return { path, ops, cost: g[end], incomplete: found < 0 };
+}
@@ -0,0 +1,236 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIM · game/prototypes — object classes; creep/tower methods queue intents
+// that World.resolve() applies at the end of the tick.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { world } from '../state.mjs';
+import {
+  getRange, findPath, findInRange, findClosestByRange, findClosestByPath, getDirection,
+} from './utils.mjs';
+import {
+  OK,
+  ERR_NOT_OWNER,
+  ERR_NO_PATH,
+  ERR_NOT_ENOUGH_RESOURCES,
+  ERR_NOT_ENOUGH_ENERGY,
+  ERR_INVALID_TARGET,
+  ERR_FULL,
+  ERR_NOT_IN_RANGE,
+  ERR_INVALID_ARGS,
+  ERR_TIRED,
+  ERR_NO_BODYPART,
+  MOVE, ATTACK, RANGED_ATTACK, HEAL, CARRY, WORK,
+  CARRY_CAPACITY,
+  RESOURCE_ENERGY,
+  TOWER_RANGE,
+  TOWER_ENERGY_COST,
+} from './constants.mjs';
+
+// ─── Store ───────────────────────────────────────────────────────────────────
+/** Resource cargo. `capacity` may be a number or a function (creep CARRY count). */
+export class Store {
+  constructor(capacity, contents = {}) {
+    Object.defineProperty(this, '_capacity', { value: capacity, enumerable: false });
+    Object.assign(this, contents);
+  }
+
+  getCapacity() {
+    return typeof this._capacity === 'function' ? this._capacity() : this._capacity;
+  }
+
+  getUsedCapacity(resource) {
+    if (resource !== undefined) return this[resource] || 0;
+    return Object.values(this).reduce((s, v) => s + (typeof v === 'number' ? v : 0), 0);
+  }
+
+  getFreeCapacity() {
+    return Math.max(0, this.getCapacity() - this.getUsedCapacity());
+  }
+}
+
+// ─── Base prototypes ─────────────────────────────────────────────────────────
+export class GameObject {
+  constructor(props = {}) {
+    this.exists = true;
+    Object.assign(this, props);
+  }
+
+  findClosestByPath(positions, options) { return findClosestByPath(this, positions, options); }
+  findClosestByRange(positions)         { return findClosestByRange(this, positions); }
+  findInRange(positions, range)         { return findInRange(this, positions, range); }
+  findPathTo(pos, options)              { return findPath(this, pos, options); }
+  getRangeTo(pos)                       { return getRange(this, pos); }
+}
+
+export class Structure extends GameObject {}
+export class OwnedStructure extends Structure {}
+
+export class StructureWall      extends Structure {}
+export class StructureRoad      extends Structure {}
+export class StructureRampart   extends OwnedStructure {}
+export class StructureContainer extends OwnedStructure {}
+export class StructureExtension extends OwnedStructure {}
+export class StructureSpawn     extends OwnedStructure {}
+export class ConstructionSite   extends GameObject {}
+export class Resource           extends GameObject {}
+export class Source             extends GameObject {}
+export class Flag               extends GameObject {}
+
+function activeCount(creep, type) {
+  let n = 0;
+  for (const p of creep.body) if (p.type === type && p.hits > 0) n++;
+  return n;
+}
+
+// ─── Creep ───────────────────────────────────────────────────────────────────
+export class Creep extends GameObject {
+  constructor(props) {
+    super(props);
+    this.fatigue  = this.fatigue || 0;
+    this.spawning = false;
+    if (!this.store) {
+      this.store = new Store(() => this.body.filter(p => p.type === CARRY && p.hits > 0).length * CARRY_CAPACITY);
+    }
+  }
+
+  _intent() {
+    return world().intentFor(this);
+  }
+
+  _canAct(type) {
+    if (!world().controls(this)) return ERR_NOT_OWNER;
+    if (type && activeCount(this, type) === 0) return ERR_NO_BODYPART;
+    return OK;
+  }
+
+  move(direction) {
+    if (!world().controls(this)) return ERR_NOT_OWNER;
+    if (!(direction >= 1 && direction <= 8)) return ERR_INVALID_ARGS;
+    // The intent is kept even when tired: a pulling creep may still carry us.
+    this._intent().move = direction;
+    if (this.fatigue > 0) return ERR_TIRED;
+    if (activeCount(this, MOVE) === 0) return ERR_NO_BODYPART;
+    return OK;
+  }
+
+  moveTo(target, options) {
+    if (!world().controls(this)) return ERR_NOT_OWNER;
+    if (!target) return ERR_INVALID_ARGS;
+    if (this.x === target.x && this.y === target.y) return OK;
+    const path = findPath(this, target, options || {});
+    if (path.length === 0) return ERR_NO_PATH;
+    return this.move(getDirection(path[0].x - this.x, path[0].y - this.y));
+  }
+
+  attack(target) {
+    const err = this._canAct(ATTACK);
+    if (err !== OK) return err;
+    if (!target || !target.exists) return ERR_INVALID_TARGET;
+    if (getRange(this, target) > 1) return ERR_NOT_IN_RANGE;
+    this._intent().melee = { type: 'attack', target };
+    return OK;
+  }
+
+  heal(target) {
+    const err = this._canAct(HEAL);
+    if (err !== OK) return err;
+    if (!(target instanceof Creep) || !target.exists) return ERR_INVALID_TARGET;
+    if (getRange(this, target) > 1) return ERR_NOT_IN_RANGE;
+    this._intent().melee = { type: 'heal', target };
+    return OK;
+  }
+
+  rangedAttack(target) {
+    const err = this._canAct(RANGED_ATTACK);
+    if (err !== OK) return err;
+    if (!target || !target.exists) return ERR_INVALID_TARGET;
+    if (getRange(this, target) > 3) return ERR_NOT_IN_RANGE;
+    this._intent().ranged = { type: 'rangedAttack', target };
+    return OK;
+  }
+
+  rangedMassAttack() {
+    const err = this._canAct(RANGED_ATTACK);
+    if (err !== OK) return err;
+    this._intent().ranged = { type: 'rangedMassAttack' };
+    return OK;
+  }
+
+  rangedHeal(target) {
+    const err = this._canAct(HEAL);
+    if (err !== OK) return err;
+    if (!(target instanceof Creep) || !target.exists) return ERR_INVALID_TARGET;
+    if (getRange(this, target) > 3) return ERR_NOT_IN_RANGE;
+    this._intent().ranged = { type: 'rangedHeal', target };
+    return OK;
+  }
+
+  pull(target) {
+    const err = this._canAct(MOVE);
+    if (err !== OK) return err;
+    if (!(target instanceof Creep) || !target.exists || target === this) return ERR_INVALID_TARGET;
+    if (getRange(this, target) > 1) return ERR_NOT_IN_RANGE;
+    if (this.fatigue > 0) return ERR_TIRED;
+    this._intent().pull = target;
+    return OK;
+  }
+
+  transfer(target, resource, amount) {
+    const err = this._canAct();
+    if (err !== OK) return err;
+    if (resource !== RESOURCE_ENERGY) return ERR_INVALID_ARGS;
+    if (!target || !target.exists || !target.store) return ERR_INVALID_TARGET;
+    if (getRange(this, target) > 1) return ERR_NOT_IN_RANGE;
+    const have = this.store.getUsedCapacity(resource);
+    if (have <= 0) return ERR_NOT_ENOUGH_RESOURCES;
+    if (target.store.getFreeCapacity(resource) <= 0) return ERR_FULL;
+    world().queueTransfer({ from: this, to: target, resource, amount });
+    return OK;
+  }
+
+  withdraw(target, resource, amount) {
+    const err = this._canAct();
+    if (err !== OK) return err;
+    if (resource !== RESOURCE_ENERGY) return ERR_INVALID_ARGS;
+    if (!target || !target.exists || !target.store || target instanceof Creep) return ERR_INVALID_TARGET;
+    if (getRange(this, target) > 1) return ERR_NOT_IN_RANGE;
+    if (target.store.getUsedCapacity(resource) <= 0) return ERR_NOT_ENOUGH_RESOURCES;
+    if (this.store.getFreeCapacity(resource) <= 0) return ERR_FULL;
+    world().queueTransfer({ from: target, to: this, resource, amount });
+    return OK;
+  }
+
+  harvest()  { return this._canAct(WORK) === OK ? ERR_INVALID_TARGET : this._canAct(WORK); }
+  build()    { return this._canAct(WORK) === OK ? ERR_INVALID_TARGET : this._canAct(WORK); }
+  pickup()   { return ERR_INVALID_TARGET; }
+  drop()     { return ERR_NOT_ENOUGH_RESOURCES; }
+}
+
+// ─── Tower ───────────────────────────────────────────────────────────────────
+export class StructureTower extends OwnedStructure {
+  constructor(props) {
+    super(props);
+    this.cooldown = this.cooldown || 0;
+  }
+
+  _check(target) {
+    if (!world().controls(this)) return ERR_NOT_OWNER;
+    if (this.cooldown > 0) return ERR_TIRED;
+    if (this.store.getUsedCapacity(RESOURCE_ENERGY) < TOWER_ENERGY_COST) return ERR_NOT_ENOUGH_ENERGY;
+    if (!target || !target.exists || getRange(this, target) > TOWER_RANGE) return ERR_INVALID_TARGET;
+    return OK;
+  }
+
+  attack(target) {
+    const err = this._check(target);
+    if (err === OK) world().intentFor(this).tower = { type: 'attack', target };
+    return err;
+  }
+
+  heal(target) {
+    const err = this._check(target);
+    if (err === OK && !(target instanceof Creep)) return ERR_INVALID_TARGET;
+    if (err === OK) world().intentFor(this).tower = { type: 'heal', target };
+    return err;
+  }
+}
@@ -0,0 +1,115 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIM · game/utils — object queries, geometry and path helpers
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { world } from '../state.mjs';
+import { searchPath, CostMatrix } from './path-finder.mjs';
+import {
+  ERR_INVALID_ARGS,
+  TOP, TOP_RIGHT, RIGHT, BOTTOM_RIGHT, BOTTOM, BOTTOM_LEFT, LEFT, TOP_LEFT,
+} from './constants.mjs';
+
+const DIRECTIONS = {
+  '0,-1': TOP, '1,-1': TOP_RIGHT, '1,0': RIGHT, '1,1': BOTTOM_RIGHT,
+  '0,1': BOTTOM, '-1,1': BOTTOM_LEFT, '-1,0': LEFT, '-1,-1': TOP_LEFT,
+};
+
+export function getTicks() {
+  return world().tick;
+}
+
+/** Nanoseconds of wall time since the active world began the current tick. */
+export function getCpuTime() {
+  return Number(process.hrtime.bigint() - world().cpuStart);
+}
+
+export function getHeapStatistics() {
+  const mem = process.memoryUsage();
+  return {
+    total_heap_size: mem.heapTotal,
+    used_heap_size: mem.heapUsed,
+    heap_size_limit: mem.heapTotal,
+    externally_allocated_size: mem.external,
+  };
+}
+
+export function getObjects() {
+  return world().list();
+}
+
+export function getObjectsByPrototype(prototype) {
+  return world().list(prototype);
+}
+
+export function getObjectById(id) {
+  return world().byId(id);
+}
+
+export function getTerrainAt(pos) {
+  return world().terrainAt(pos.x, pos.y);
+}
+
+export function getRange(a, b) {
+  return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+}
+
+export function getDirection(dx, dy) {
+  return DIRECTIONS[`${Math.sign(dx)},${Math.sign(dy)}`];
+}
+
+export function findInRange(fromPos, positions, range) {
+  return positions.filter(p => getRange(fromPos, p) <= range);
+}
+
+export function findClosestByRange(fromPos, positions) {
+  let best = null;
+  let bestRange = Infinity;
+  for (const p of positions) {
+    const r = getRange(fromPos, p);
+    if (r < bestRange) { bestRange = r; best = p; }
+  }
+  return best;
+}
+
+/**
+ * Cost matrix used by findPath-style helpers: blocking structures are always
+ * impassable; creeps are too unless the caller supplied its own costMatrix.
+ * Origin and goal tiles are left open so a creep can path onto an occupied goal.
+ */
+function obstacleMatrix(options, from, goals) {
+  const w = world();
+  const cm = options.costMatrix ? options.costMatrix.clone() : new CostMatrix();
+  const ignore = new Set((options.ignore || []).map(o => o.id));
+  const open = new Set([`${from.x},${from.y}`, ...goals.map(g => `${g.x},${g.y}`)]);
+  for (const obj of w.list()) {
+    if (ignore.has(obj.id) || open.has(`${obj.x},${obj.y}`)) continue;
+    const blocks = w.isObstacle(obj) && (!options.costMatrix || !w.isCreep(obj));
+    if (blocks) cm.set(obj.x, obj.y, 255);
+  }
+  return cm;
+}
+
+export function findPath(fromPos, toPos, options = {}) {
+  const cm = obstacleMatrix(options, fromPos, [toPos]);
+  return searchPath(fromPos, { pos: toPos, range: 0 }, { ...options, costMatrix: cm }).path;
+}
+
+export function findClosestByPath(fromPos, positions, options = {}) {
+  if (positions.length === 0) return null;
+  const here = positions.find(p => p.x === fromPos.x && p.y === fromPos.y);
+  if (here) return here;
+  const cm = obstacleMatrix(options, fromPos, positions);
+  const result = searchPath(
+    fromPos,
+    positions.map(p => ({ pos: p, range: 0 })),
+    { ...options, costMatrix: cm },
+  );
+  if (result.incomplete || result.path.length === 0) return null;
+  const end = result.path[result.path.length - 1];
+  return positions.find(p => p.x === end.x && p.y === end.y) || null;
+}
+
+/** Construction is out of scope for capture-the-flag scenarios. */
+export function createConstructionSite() {
+  return { error: ERR_INVALID_ARGS };
+}
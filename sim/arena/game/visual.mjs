@@ -0,0 +1,18 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIM · game/visual — headless Visual; draw calls are counted, not rendered
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export class Visual {
+  constructor(layer = 0, persistent = false) {
+    this.layer = layer;
+    this.persistent = persistent;
+    this.calls = 0;
+  }
+
+  circle()   { this.calls++; return this; }
+  line()     { this.calls++; return this; }
+  poly()     { this.calls++; return this; }
+  rect()     { this.calls++; return this; }
+  text()     { this.calls++; return this; }
+  clear()    { this.calls = 0; return this; }
+}
@@ -0,0 +1,8 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIM · arena/season_2/capture_the_flag/basic — BodyPart drops
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { GameObject } from '../../game/prototypes.mjs';
+
+/** A loose body part. Any creep that ends a tick on its tile absorbs it. */
+export class BodyPart extends GameObject {}
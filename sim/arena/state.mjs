@@ -0,0 +1,16 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIM · Active world handle — shared by every stand-in game module
+// ═══════════════════════════════════════════════════════════════════════════════
+
+let activeWorld = null;
+
+/** Install the World that game/* calls should read from and write intents to. */
+export function setWorld(w) {
+  activeWorld = w;
+}
+
+/** The World currently being stepped. Throws if no scenario is loaded. */
+export function world() {
+  if (!activeWorld) throw new Error('sim: no active world (call setWorld first)');
+  return activeWorld;
+}
@@ -0,0 +1,393 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIM · World — terrain, objects, intent queue and end-of-tick resolution
+//
+// Resolution order per tick (after both sides have queued intents):
+//   1. combat  — melee/ranged/mass/heal + tower shots, netted per target
+//   2. cargo   — transfer/withdraw in the order they were issued
+//   3. motion  — move/pull intents, occupancy conflicts, fatigue
+//   4. pickup  — BodyPart absorbed by any creep standing on its tile
+//   5. flags   — a creep standing on a flag captures it for its side
+//   6. upkeep  — deaths, drop decay, tower cooldowns
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import {
+  Creep, Flag, StructureTower, StructureContainer, StructureSpawn,
+  StructureExtension, StructureWall, Store,
+} from './game/prototypes.mjs';
+import { BodyPart } from './season_2/capture_the_flag/basic.mjs';
+import {
+  MOVE, ATTACK, RANGED_ATTACK, HEAL, CARRY,
+  TERRAIN_PLAIN, TERRAIN_WALL, TERRAIN_SWAMP,
+  ATTACK_POWER, RANGED_ATTACK_POWER, HEAL_POWER, RANGED_HEAL_POWER,
+  RANGED_ATTACK_DISTANCE_RATE,
+  BODYPART_HITS, MAX_CREEP_SIZE, RESOURCE_ENERGY,
+  TOWER_CAPACITY, TOWER_HITS, TOWER_COOLDOWN, TOWER_ENERGY_COST,
+  TOWER_POWER_ATTACK, TOWER_POWER_HEAL,
+  TOWER_OPTIMAL_RANGE, TOWER_FALLOFF_RANGE, TOWER_FALLOFF,
+  CONTAINER_CAPACITY, CONTAINER_HITS,
+} from './game/constants.mjs';
+
+const SIZE = 100;
+const DIR_DELTA = {
+  1: [0, -1], 2: [1, -1], 3: [1, 0], 4: [1, 1],
+  5: [0, 1], 6: [-1, 1], 7: [-1, 0], 8: [-1, -1],
+};
+const TERRAIN_CHARS = { '#': TERRAIN_WALL, '~': TERRAIN_SWAMP, '.': TERRAIN_PLAIN };
+const DEFAULT_BODYPART_DECAY = 100;
+
+function range(a, b) {
+  return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+}
+
+function activeCount(creep, type) {
+  let n = 0;
+  for (const p of creep.body) if (p.type === type && p.hits > 0) n++;
+  return n;
+}
+
+/** Tower power after range falloff, from the TOWER_* constants. */
+export function towerPower(base, dist) {
+  if (dist <= TOWER_OPTIMAL_RANGE) return base;
+  const r = Math.min(dist, TOWER_FALLOFF_RANGE);
+  const frac = TOWER_FALLOFF * (r - TOWER_OPTIMAL_RANGE) / (TOWER_FALLOFF_RANGE - TOWER_OPTIMAL_RANGE);
+  return Math.floor(base * (1 - frac));
+}
+
+export class World {
+  constructor({
+    ticksLimit = 2000,
+    cpuTimeLimit = 50e6,
+    cpuTimeLimitFirstTick = 1e9,
+    seed = 1,
+  } = {}) {
+    this.ticksLimit = ticksLimit;
+    this.cpuTimeLimit = cpuTimeLimit;
+    this.cpuTimeLimitFirstTick = cpuTimeLimitFirstTick;
+    this.tick = 0;
+    this.side = 'player';
+    this.cpuStart = process.hrtime.bigint();
+    this.terrain = new Uint8Array(SIZE * SIZE);
+    this.objects = new Map();
+    this.events = [];
+    this.intents = new Map();
+    this.transfers = [];
+    this._nextId = 1;
+    this._seed = seed >>> 0 || 1;
+  }
+
+  // ─── Terrain ──────────────────────────────────────────────────────────────
+  terrainAt(x, y) {
+    if (x < 0 || x >= SIZE || y < 0 || y >= SIZE) return TERRAIN_WALL;
+    return this.terrain[x * SIZE + y];
+  }
+
+  setTerrain(x, y, t) {
+    if (x < 0 || x >= SIZE || y < 0 || y >= SIZE) return;
+    this.terrain[x * SIZE + y] = t;
+  }
+
+  /** Fill the inclusive rectangle (x1,y1)–(x2,y2) with one terrain type. */
+  fillTerrain(x1, y1, x2, y2, t) {
+    for (let x = Math.min(x1, x2); x <= Math.max(x1, x2); x++) {
+      for (let y = Math.min(y1, y2); y <= Math.max(y1, y2); y++) this.setTerrain(x, y, t);
+    }
+  }
+
+  /** Stamp ASCII rows ('#' wall, '~' swamp, '.' plain) with their top-left at (ox, oy). */
+  loadTerrain(rows, ox = 0, oy = 0) {
+    rows.forEach((row, dy) => {
+      [...row].forEach((ch, dx) => {
+        if (ch in TERRAIN_CHARS) this.setTerrain(ox + dx, oy + dy, TERRAIN_CHARS[ch]);
+      });
+    });
+  }
+
+  // ─── Objects ──────────────────────────────────────────────────────────────
+  add(obj, prefix = 'o') {
+    if (obj.id === undefined) obj.id = `${prefix}${this._nextId++}`;
+    this.objects.set(obj.id, obj);
+    return obj;
+  }
+
+  addCreep({ x, y, my, body, id }) {
+    const parts = body.map(type => ({ type, hits: BODYPART_HITS }));
+    const hits = parts.length * BODYPART_HITS;
+    return this.add(new Creep({ id, x, y, my, body: parts, hits, hitsMax: hits }), my ? 'c' : 'e');
+  }
+
+  addFlag({ x, y, my, id }) {
+    return this.add(new Flag({ id, x, y, my }), 'f');
+  }
+
+  addTower({ x, y, my, energy = 0, capacity = TOWER_CAPACITY, id }) {
+    const store = new Store(capacity, { [RESOURCE_ENERGY]: energy });
+    return this.add(new StructureTower({ id, x, y, my, store, hits: TOWER_HITS, hitsMax: TOWER_HITS }), 't');
+  }
+
+  addContainer({ x, y, energy = 0, capacity = CONTAINER_CAPACITY, id }) {
+    const store = new Store(capacity, { [RESOURCE_ENERGY]: energy });
+    return this.add(new StructureContainer({ id, x, y, store, hits: CONTAINER_HITS, hitsMax: CONTAINER_HITS }), 'k');
+  }
+
+  addBodyPart({ x, y, type, ticksToDecay = DEFAULT_BODYPART_DECAY, id }) {
+    return this.add(new BodyPart({ id, x, y, type, ticksToDecay }), 'b');
+  }
+
+  list(prototype) {
+    const out = [];
+    for (const obj of this.objects.values()) {
+      if (!obj.exists) continue;
+      if (!prototype || obj instanceof prototype) out.push(obj);
+    }
+    return out;
+  }
+
+  byId(id) {
+    const obj = this.objects.get(id);
+    return obj && obj.exists ? obj : null;
+  }
+
+  creeps(my) {
+    return this.list(Creep).filter(c => my === undefined || c.my === my);
+  }
+
+  flags() {
+    return this.list(Flag);
+  }
+
+  isCreep(obj) {
+    return obj instanceof Creep;
+  }
+
+  isObstacle(obj) {
+    return obj instanceof Creep || obj instanceof StructureTower || obj instanceof StructureSpawn ||
+      obj instanceof StructureExtension || obj instanceof StructureWall;
+  }
+
+  isWalkable(x, y) {
+    if (this.terrainAt(x, y) === TERRAIN_WALL) return false;
+    for (const obj of this.objects.values()) {
+      if (obj.exists && obj.x === x && obj.y === y && this.isObstacle(obj) && !this.isCreep(obj)) return false;
+    }
+    return true;
+  }
+
+  /** Deterministic LCG in [0, 1) so scenarios can scatter drops reproducibly. */
+  random() {
+    this._seed = (Math.imul(this._seed, 1664525) + 1013904223) >>> 0;
+    return this._seed / 0x100000000;
+  }
+
+  // ─── Intents ──────────────────────────────────────────────────────────────
+  /** Whether the side currently running code may command this object. */
+  controls(obj) {
+    return obj.exists && obj.my === (this.side === 'player');
+  }
+
+  intentFor(obj) {
+    let it = this.intents.get(obj.id);
+    if (!it) { it = {}; this.intents.set(obj.id, it); }
+    return it;
+  }
+
+  queueTransfer(t) {
+    this.transfers.push(t);
+  }
+
+  /** Start a tick: next tick by default, or jump to `tick` (replays). */
+  beginTick(tick = this.tick + 1) {
+    this.tick = tick;
+    this.intents = new Map();
+    this.transfers = [];
+    this.side = 'player';
+    this.cpuStart = process.hrtime.bigint();
+  }
+
+  // ─── Resolution ───────────────────────────────────────────────────────────
+  resolve() {
+    this._resolveCombat();
+    this._resolveTransfers();
+    this._resolveMovement();
+    this._resolvePickups();
+    this._resolveFlags();
+    this._resolveUpkeep();
+  }
+
+  _resolveCombat() {
+    const delta = new Map(); // object → net hit change
+    const add = (target, amount) => delta.set(target, (delta.get(target) || 0) + amount);
+
+    for (const [id, it] of this.intents) {
+      const src = this.objects.get(id);
+      if (!src || !src.exists) continue;
+
+      if (it.melee) {
+        const { type, target } = it.melee;
+        if (type === 'attack') add(target, -ATTACK_POWER * activeCount(src, ATTACK));
+        else add(target, HEAL_POWER * activeCount(src, HEAL));
+      }
+      if (it.ranged) {
+        const { type, target } = it.ranged;
+        const n = activeCount(src, RANGED_ATTACK);
+        if (type === 'rangedAttack') {
+          add(target, -RANGED_ATTACK_POWER * n);
+        } else if (type === 'rangedHeal') {
+          add(target, RANGED_HEAL_POWER * activeCount(src, HEAL));
+        } else {
+          for (const c of this.list(Creep)) {
+            if (c.my === src.my) continue;
+            const d = range(src, c);
+            if (d > 3) continue;
+            add(c, -Math.round(RANGED_ATTACK_POWER * n * RANGED_ATTACK_DISTANCE_RATE[d]));
+          }
+        }
+      }
+      if (it.tower) {
+        const { type, target } = it.tower;
+        const d = range(src, target);
+        if (type === 'attack') add(target, -towerPower(TOWER_POWER_ATTACK, d));
+        else add(target, towerPower(TOWER_POWER_HEAL, d));
+        src.store[RESOURCE_ENERGY] -= TOWER_ENERGY_COST;
+        src.cooldown = TOWER_COOLDOWN;
+      }
+    }
+
+    for (const [target, d] of delta) {
+      if (!target.exists || target.hits === undefined) continue;
+      target.hits = Math.min(target.hitsMax, target.hits + d);
+      if (target instanceof Creep) this._syncBody(target);
+    }
+  }
+
+  /** Redistribute total hits over the body: damage eats parts from the front. */
+  _syncBody(creep) {
+    let rem = Math.max(0, creep.hits);
+    for (let i = creep.body.length - 1; i >= 0; i--) {
+      const h = Math.min(BODYPART_HITS, rem);
+      creep.body[i].hits = h;
+      rem -= h;
+    }
+  }
+
+  _resolveTransfers() {
+    for (const { from, to, resource, amount } of this.transfers) {
+      if (!from.exists || !to.exists) continue;
+      const have = from.store.getUsedCapacity(resource);
+      const room = to.store.getFreeCapacity(resource);
+      const n = Math.min(have, room, amount === undefined ? Infinity : amount);
+      if (n <= 0) continue;
+      from.store[resource] = have - n;
+      to.store[resource] = (to.store[resource] || 0) + n;
+    }
+  }
+
+  /** Non-MOVE parts generate fatigue; empty CARRY parts are weightless. */
+  _weight(creep) {
+    const empty = creep.store.getUsedCapacity() === 0;
+    return creep.body.filter(p => p.type !== MOVE && !(p.type === CARRY && empty)).length;
+  }
+
+  _resolveMovement() {
+    const creeps = this.list(Creep);
+    const at = new Map(creeps.map(c => [`${c.x},${c.y}`, c]));
+    const pullers = new Map(); // pulled creep → puller
+    for (const [id, it] of this.intents) {
+      const src = this.objects.get(id);
+      if (it.pull && src && src.exists) pullers.set(it.pull, src);
+    }
+
+    // Candidate moves
+    const moves = new Map(); // creep → {x, y, ok, by}
+    for (const [id, it] of this.intents) {
+      if (it.move === undefined) continue;
+      const c = this.objects.get(id);
+      if (!c || !c.exists || !(c instanceof Creep)) continue;
+      const [dx, dy] = DIR_DELTA[it.move];
+      const to = { x: c.x + dx, y: c.y + dy, ok: true, by: null };
+      const puller = pullers.get(c);
+      if (puller && puller.x === to.x && puller.y === to.y) {
+        to.by = puller;
+      } else if (c.fatigue > 0 || activeCount(c, MOVE) === 0) {
+        continue;
+      }
+      if (!this.isWalkable(to.x, to.y)) continue;
+      moves.set(c, to);
+    }
+
+    // One mover per destination tile (first issued wins)
+    const claimed = new Set();
+    for (const to of moves.values()) {
+      const key = `${to.x},${to.y}`;
+      if (claimed.has(key)) to.ok = false;
+      else claimed.add(key);
+    }
+
+    // Occupied destinations only open up if the occupant successfully leaves
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const to of moves.values()) {
+        if (!to.ok) continue;
+        const occupant = at.get(`${to.x},${to.y}`);
+        if (!occupant) continue;
+        const leaving = moves.get(occupant);
+        if (!leaving || !leaving.ok) { to.ok = false; changed = true; }
+      }
+    }
+
+    for (const [c, to] of moves) {
+      if (!to.ok) continue;
+      const factor = this.terrainAt(to.x, to.y) === TERRAIN_SWAMP ? 10 : 2;
+      const cost = this._weight(c) * factor;
+      c.x = to.x;
+      c.y = to.y;
+      if (to.by) to.by.fatigue += cost;
+      else c.fatigue += cost;
+    }
+    for (const c of creeps) {
+      c.fatigue = Math.max(0, c.fatigue - 2 * activeCount(c, MOVE));
+    }
+  }
+
+  _resolvePickups() {
+    const parts = this.list(BodyPart);
+    if (parts.length === 0) return;
+    const at = new Map(this.list(Creep).map(c => [`${c.x},${c.y}`, c]));
+    for (const bp of parts) {
+      const c = at.get(`${bp.x},${bp.y}`);
+      if (!c || c.body.length >= MAX_CREEP_SIZE) continue;
+      c.body.push({ type: bp.type, hits: BODYPART_HITS });
+      c.hitsMax += BODYPART_HITS;
+      c.hits += BODYPART_HITS;
+      this._syncBody(c);
+      bp.exists = false;
+      this.events.push({ tick: this.tick, type: 'pickup', creep: c.id, my: c.my, part: bp.type });
+    }
+  }
+
+  _resolveFlags() {
+    const at = new Map(this.list(Creep).map(c => [`${c.x},${c.y}`, c]));
+    for (const flag of this.flags()) {
+      const c = at.get(`${flag.x},${flag.y}`);
+      if (!c || flag.my === c.my) continue;
+      flag.my = c.my;
+      this.events.push({ tick: this.tick, type: 'capture', flag: flag.id, my: c.my });
+    }
+  }
+
+  _resolveUpkeep() {
+    for (const obj of this.list()) {
+      if (obj instanceof Creep && obj.hits <= 0) {
+        obj.exists = false;
+        this.events.push({ tick: this.tick, type: 'death', creep: obj.id, my: obj.my });
+      } else if (obj instanceof StructureTower && obj.hits <= 0) {
+        obj.exists = false;
+        this.events.push({ tick: this.tick, type: 'destroyed', structure: obj.id });
+      } else if (obj instanceof BodyPart) {
+        obj.ticksToDecay--;
+        if (obj.ticksToDecay <= 0) obj.exists = false;
+      }
+      if (obj instanceof StructureTower && obj.cooldown > 0) obj.cooldown--;
+    }
+  }
+}
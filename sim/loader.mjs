@@ -0,0 +1,20 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIM · Module resolution hook — maps the arena's bare specifiers
+// ('game', 'game/*', 'arena/*') onto the stand-ins under sim/arena/.
+// Registered by sim/run.mjs via module.register().
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ARENA_ROOT = new URL('./arena/', import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'game') {
+    return { url: new URL('game/index.mjs', ARENA_ROOT).href, shortCircuit: true };
+  }
+  if (specifier.startsWith('game/')) {
+    return { url: new URL(`${specifier}.mjs`, ARENA_ROOT).href, shortCircuit: true };
+  }
+  if (specifier.startsWith('arena/')) {
+    return { url: new URL(`${specifier.slice('arena/'.length)}.mjs`, ARENA_ROOT).href, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,70 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIM · Scripted opponents — run during the 'opponent' side of each tick and
+// command creeps with my === false through the same prototype methods.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { getRange, findClosestByRange, findInRange } from './arena/game/utils.mjs';
+import { ATTACK, RANGED_ATTACK, HEAL } from './arena/game/constants.mjs';
+
+function hasActive(creep, type) {
+  return creep.body.some(p => p.type === type && p.hits > 0);
+}
+
+/** Fire whatever the body allows at the closest hostile / most hurt friend. */
+function fight(creep, foes, friends) {
+  const adj = findInRange(creep, foes, 1);
+  if (hasActive(creep, ATTACK) && adj.length > 0) creep.attack(adj[0]);
+  const near = findInRange(creep, foes, 3);
+  if (hasActive(creep, RANGED_ATTACK) && near.length > 0) {
+    if (findInRange(creep, foes, 1).length >= 2) creep.rangedMassAttack();
+    else creep.rangedAttack(findClosestByRange(creep, near));
+  }
+  if (hasActive(creep, HEAL) && !hasActive(creep, ATTACK)) {
+    const hurt = findInRange(creep, friends, 3).filter(c => c.hits < c.hitsMax);
+    if (hurt.length > 0) {
+      const t = hurt.reduce((b, c) => (c.hits / c.hitsMax) < (b.hits / b.hitsMax) ? c : b);
+      if (getRange(creep, t) <= 1) creep.heal(t); else creep.rangedHeal(t);
+    }
+  }
+}
+
+/** Enemy never acts. */
+export function idle() {
+  return () => {};
+}
+
+/** Enemy holds position and shoots back at anything in range. */
+export function holdGround() {
+  return (world) => {
+    const foes = world.creeps(true);
+    const friends = world.creeps(false);
+    for (const c of friends) fight(c, foes, friends);
+  };
+}
+
+/** Each enemy creep walks to the closest flag it does not own, fighting on the way. */
+export function rushFlags() {
+  return (world) => {
+    const foes = world.creeps(true);
+    const friends = world.creeps(false);
+    const targets = world.flags().filter(f => f.my !== false);
+    for (const c of friends) {
+      fight(c, foes, friends);
+      const flag = findClosestByRange(c, targets);
+      if (flag) c.moveTo(flag);
+    }
+  };
+}
+
+/** Each enemy creep charges the closest player creep. */
+export function brawl() {
+  return (world) => {
+    const foes = world.creeps(true);
+    const friends = world.creeps(false);
+    for (const c of friends) {
+      fight(c, foes, friends);
+      const t = findClosestByRange(c, foes);
+      if (t) c.moveTo(t);
+    }
+  };
+}
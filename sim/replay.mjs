@@ -0,0 +1,266 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIM · Replay loader — feeds a match recording (main.mjs §18b) back into the
+// bot's sense layer and explains what it decides at a chosen tick.
+//
+//   node sim/replay.mjs match.log                  # explain the last recorded tick
+//   node sim/replay.mjs match.log --tick 734       # explain T734 (re-run from first frame)
+//   node sim/replay.mjs match.log --tick 734 --from 700
+//   node sim/replay.mjs match.log --bot other.mjs  # diff another bot against the log
+//
+// Every recorded frame overwrites the World (no engine resolution in between),
+// so loop() sees exactly the recorded objects; commandLayer()/executeTick()
+// run for real and their actions are diffed against the recorded ones.
+// Starting late (--from) skips the bot's history, so early divergence is expected.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { register } from 'node:module';
+import { readFileSync } from 'node:fs';
+import { resolve as resolvePath } from 'node:path';
+import { pathToFileURL, fileURLToPath } from 'node:url';
+
+import { World } from './arena/world.mjs';
+import { setWorld } from './arena/state.mjs';
+import { Creep, Flag, StructureTower, StructureContainer, Store } from './arena/game/prototypes.mjs';
+import { BodyPart } from './arena/season_2/capture_the_flag/basic.mjs';
+import {
+  MOVE, ATTACK, RANGED_ATTACK, HEAL, CARRY, WORK, TOUGH,
+  BODYPART_HITS, RESOURCE_ENERGY,
+} from './arena/game/constants.mjs';
+
+register('./loader.mjs', import.meta.url);
+
+const SIM_DIR = fileURLToPath(new URL('.', import.meta.url));
+const SUPPORTED_VERSION = 1;
+
+// Inverse of PART_CODES in main.mjs §18b
+const PART_TYPES = { m: MOVE, a: ATTACK, r: RANGED_ATTACK, h: HEAL, c: CARRY, w: WORK, t: TOUGH };
+const OWNERS = { 1: true, 0: false, '-': undefined };
+
+// ─── Parsing ─────────────────────────────────────────────────────────────────
+
+function records(body) {
+  return body ? body.split(';').map(r => r.split(',')) : [];
+}
+
+function parsePayload(tick, payload) {
+  const frame = { tick, creeps: [], parts: [], flags: [], towers: [], containers: [], actions: [] };
+  for (const section of payload.split('|')) {
+    const tag = section[0];
+    const recs = records(section.slice(2));
+    if (tag === 'C') {
+      frame.creeps = recs.map(([id, my, x, y, hits, hitsMax, fatigue, energy, body]) => ({
+        id, my: my === '1', x: +x, y: +y, hits: +hits, hitsMax: +hitsMax,
+        fatigue: +fatigue, energy: +energy, body: [...(body || '')].map(ch => PART_TYPES[ch]),
+      }));
+    } else if (tag === 'B') {
+      frame.parts = recs.map(([id, x, y, part, ttd]) => ({
+        id, x: +x, y: +y, type: PART_TYPES[part], ticksToDecay: +ttd,
+      }));
+    } else if (tag === 'F') {
+      frame.flags = recs.map(([id, x, y, owner]) => ({ id, x: +x, y: +y, my: OWNERS[owner] }));
+    } else if (tag === 'T') {
+      frame.towers = recs.map(([id, x, y, owner, energy, capacity, cooldown]) => ({
+        id, x: +x, y: +y, my: OWNERS[owner], energy: +energy, capacity: +capacity, cooldown: +cooldown,
+      }));
+    } else if (tag === 'K') {
+      frame.containers = recs.map(([id, x, y, energy, capacity]) => ({
+        id, x: +x, y: +y, energy: +energy, capacity: +capacity,
+      }));
+    } else if (tag === 'A') {
+      frame.actions = recs.map(([id, method, arg, result]) => ({ id, method, arg, result: +result }));
+    }
+  }
+  return frame;
+}
+
+/**
+ * Parse console output containing `@R` lines (other lines are ignored, and
+ * prefixes such as timestamps before the marker are tolerated).
+ * Returns { version, ticksLimit, terrain: string[] (rows of digits), frames: Map<tick, frame> }.
+ */
+export function parseRecording(text) {
+  let version = null;
+  let ticksLimit = 2000;
+  const terrain = [];
+  const pending = new Map(); // tick → string[] of chunks
+  for (const line of text.split(/\r?\n/)) {
+    const header = line.match(/@RV (\d+) ticksLimit=(\d+)/);
+    if (header) {
+      version = +header[1];
+      ticksLimit = +header[2];
+      continue;
+    }
+    const row = line.match(/@RM(\d+) ([0-9]{100})/);
+    if (row) {
+      terrain[+row[1]] = row[2];
+      continue;
+    }
+    const m = line.match(/@R(\d+)\.(\d+)\/(\d+) (.*)$/);
+    if (!m) continue;
+    const [, tick, part, total, slice] = m;
+    if (!pending.has(+tick)) pending.set(+tick, new Array(+total).fill(null));
+    pending.get(+tick)[+part - 1] = slice;
+  }
+  if (version !== null && version !== SUPPORTED_VERSION) {
+    throw new Error(`replay: recording format v${version}, loader supports v${SUPPORTED_VERSION}`);
+  }
+
+  const frames = new Map();
+  for (const [tick, chunks] of [...pending].sort((a, b) => a[0] - b[0])) {
+    if (chunks.includes(null)) continue; // truncated log — skip incomplete tick
+    frames.set(tick, parsePayload(tick, chunks.join('')));
+  }
+  return { version, ticksLimit, terrain, frames };
+}
+
+// ─── Feeding frames into the World ───────────────────────────────────────────
+
+function upsert(world, seen, Proto, props) {
+  let obj = world.objects.get(props.id);
+  if (!obj || !(obj instanceof Proto)) obj = world.add(new Proto({ id: props.id }));
+  Object.assign(obj, props);
+  obj.exists = true;
+  seen.add(props.id);
+  return obj;
+}
+
+/**
+ * Overwrite the World with a recorded frame. Objects keep their identity across
+ * frames (the bot tags enemies with velocity fields), vanished ids stop existing.
+ */
+export function applyFrame(world, frame) {
+  const seen = new Set();
+  for (const c of frame.creeps) {
+    const creep = upsert(world, seen, Creep, {
+      id: c.id, x: c.x, y: c.y, my: c.my, hits: c.hits, hitsMax: c.hitsMax, fatigue: c.fatigue,
+      body: c.body.map(type => ({ type, hits: BODYPART_HITS })),
+    });
+    creep.store[RESOURCE_ENERGY] = c.energy;
+    world._syncBody(creep);
+  }
+  for (const b of frame.parts) upsert(world, seen, BodyPart, b);
+  for (const f of frame.flags) upsert(world, seen, Flag, f);
+  for (const t of frame.towers) {
+    upsert(world, seen, StructureTower, {
+      id: t.id, x: t.x, y: t.y, my: t.my, cooldown: t.cooldown,
+      store: new Store(t.capacity, { [RESOURCE_ENERGY]: t.energy }),
+    });
+  }
+  for (const k of frame.containers) {
+    upsert(world, seen, StructureContainer, {
+      id: k.id, x: k.x, y: k.y, store: new Store(k.capacity, { [RESOURCE_ENERGY]: k.energy }),
+    });
+  }
+  for (const obj of world.objects.values()) {
+    if (!seen.has(obj.id)) obj.exists = false;
+  }
+}
+
+// ─── Replay ──────────────────────────────────────────────────────────────────
+
+function actionsById(actions) {
+  const byId = new Map();
+  for (const a of actions) {
+    if (!byId.has(a.id)) byId.set(a.id, []);
+    byId.get(a.id).push(a.arg ? `${a.method} ${a.arg}` : a.method);
+  }
+  return byId;
+}
+
+/**
+ * Re-run the bot over frames [from, tick]. Returns per-tick divergence counts
+ * and, for `tick`, the recorded vs replayed actions plus the bot's snapshot.
+ */
+export async function replay(recording, { bot, from, tick, runId = 0 }) {
+  const ticks = [...recording.frames.keys()];
+  const target = tick === undefined ? ticks[ticks.length - 1] : tick;
+  const start = from === undefined ? ticks[0] : from;
+  if (!recording.frames.has(target)) throw new Error(`replay: no complete frame for T${target}`);
+
+  const world = new World({ ticksLimit: recording.ticksLimit });
+  recording.terrain.forEach((row, y) => {
+    if (row) [...row].forEach((t, x) => world.setTerrain(x, y, +t));
+  });
+  setWorld(world);
+  const mod = await import(`${pathToFileURL(bot).href}?replay=${runId}`);
+  mod.setMatchRecording(true);
+  if (mod.setCpuBudget) mod.setCpuBudget(Infinity);
+
+  const divergence = [];
+  let explained = null;
+  const origLog = console.log;
+  for (const t of ticks.filter(x => x >= start && x <= target)) {
+    const frame = recording.frames.get(t);
+    world.beginTick(t);
+    applyFrame(world, frame);
+
+    const out = [];
+    console.log = (...args) => out.push(args.join(' '));
+    try {
+      mod.loop();
+    } finally {
+      console.log = origLog;
+    }
+
+    const rerun = parseRecording(out.join('\n')).frames.get(t);
+    const recorded = actionsById(frame.actions);
+    const replayed = actionsById(rerun ? rerun.actions : []);
+    const ids = new Set([...recorded.keys(), ...replayed.keys()]);
+    const diffs = [...ids].filter(id =>
+      (recorded.get(id) || []).join(' · ') !== (replayed.get(id) || []).join(' · '));
+    divergence.push({ tick: t, count: diffs.length });
+
+    if (t === target) {
+      explained = { tick: t, snapshot: mod.debugSnapshot(), recorded, replayed, ids: [...ids], diffs };
+    }
+  }
+  mod.setMatchRecording(false);
+  return { from: start, target, divergence, explained };
+}
+
+function printExplanation({ from, target, divergence, explained }) {
+  const { snapshot, recorded, replayed, ids, diffs } = explained;
+  console.log(`── T${target} (bot re-run from T${from}) phase=${snapshot.phase}` +
+    ` focus=${snapshot.focus || '-'} tank=${snapshot.tank || '-'} objective=${snapshot.objective || '-'}`);
+  const creepIds = new Set(snapshot.creeps.map(c => c.id));
+  for (const c of snapshot.creeps) {
+    const flags = [c.retreat && 'retreat', c.mosquito && 'mosquito', c.charger && `charger→${c.charger}`]
+      .filter(Boolean).join(' ');
+    console.log(`  ${c.id} ${c.role} target=${c.target || '-'} ${flags}`);
+    const rec = (recorded.get(c.id) || []).join(' · ') || '(none)';
+    const rep = (replayed.get(c.id) || []).join(' · ') || '(none)';
+    console.log(`      recorded: ${rec}`);
+    console.log(`      replayed: ${rep}${diffs.includes(c.id) ? '   ≠' : ''}`);
+  }
+  for (const id of ids.filter(i => !creepIds.has(i))) {
+    const rec = (recorded.get(id) || []).join(' · ') || '(none)';
+    const rep = (replayed.get(id) || []).join(' · ') || '(none)';
+    console.log(`  ${id} recorded: ${rec} | replayed: ${rep}${diffs.includes(id) ? '   ≠' : ''}`);
+  }
+  const diverged = divergence.filter(d => d.count > 0);
+  console.log(`Divergent ticks: ${diverged.length}/${divergence.length}` +
+    (diverged.length ? ` (first T${diverged[0].tick})` : ''));
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const opts = { bot: resolvePath(SIM_DIR, '../main.mjs') };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--tick') opts.tick = +argv[++i];
+    else if (argv[i] === '--from') opts.from = +argv[++i];
+    else if (argv[i] === '--bot') opts.bot = resolvePath(argv[++i]);
+    else opts.file = resolvePath(argv[i]);
+  }
+  if (!opts.file) {
+    console.log('usage: node sim/replay.mjs <recording.log> [--tick T] [--from F] [--bot main.mjs]');
+    process.exitCode = 2;
+    return;
+  }
+  const recording = parseRecording(readFileSync(opts.file, 'utf8'));
+  if (recording.frames.size === 0) throw new Error(`replay: no @R frames in ${opts.file}`);
+  printExplanation(await replay(recording, opts));
+}
+
+if (process.argv[1] && resolvePath(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  await main();
+}
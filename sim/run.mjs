@@ -0,0 +1,135 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIM · Scenario runner — steps main.mjs loop() tick by tick, offline
+//
+//   node sim/run.mjs                         # every scenario in sim/scenarios/
+//   node sim/run.mjs sim/scenarios/x.mjs     # selected scenarios
+//   node sim/run.mjs --verbose ...           # echo the bot's console output
+//   node sim/run.mjs --bot other.mjs ...     # drive a different bot module
+//   node sim/run.mjs --record out/ ...       # write each run's bot output (with
+//                                            # the match recorder on) to out/<scenario>.log
+//   node sim/run.mjs --cpu-budget 20 ...     # run the bot's CPU governor against a
+//                                            # 20ms budget (default: governor off)
+//
+// Each scenario gets a fresh World and a fresh instance of the bot module, so
+// module-level state (roles, diag, stickiness…) never leaks between runs.
+// The governor measures wall-clock time, so it is off unless asked for:
+// otherwise JIT warm-up and machine load would decide outcomes. A scenario's
+// own cpuBudget wins over the flag (one far below any tick's cost forces
+// every degraded mode on, whatever the machine).
+// Exit code is 1 if any expectation fails or the bot throws.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import { register } from 'node:module';
+import { readdirSync, writeFileSync, mkdirSync } from 'node:fs';
+import { resolve as resolvePath, basename } from 'node:path';
+import { pathToFileURL, fileURLToPath } from 'node:url';
+
+import { World } from './arena/world.mjs';
+import { setWorld } from './arena/state.mjs';
+import { createChecks } from './scenario.mjs';
+
+register('./loader.mjs', import.meta.url);
+
+const SIM_DIR = fileURLToPath(new URL('.', import.meta.url));
+const LOG_TAIL = 20;
+
+function parseArgs(argv) {
+  const opts = {
+    verbose: false, bot: resolvePath(SIM_DIR, '../main.mjs'), record: null, cpuBudget: Infinity, files: [],
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--verbose') opts.verbose = true;
+    else if (argv[i] === '--bot') opts.bot = resolvePath(argv[++i]);
+    else if (argv[i] === '--record') opts.record = resolvePath(argv[++i]);
+    else if (argv[i] === '--cpu-budget') opts.cpuBudget = Number(argv[++i]);
+    else opts.files.push(resolvePath(argv[i]));
+  }
+  if (opts.files.length === 0) {
+    const dir = resolvePath(SIM_DIR, 'scenarios');
+    opts.files = readdirSync(dir).filter(f => f.endsWith('.mjs')).sort().map(f => resolvePath(dir, f));
+  }
+  return opts;
+}
+
+/** Run one scenario; returns { name, results, error, ticks, logs }. */
+export async function runScenario(scenario, { bot, verbose = false, record = false, cpuBudget = Infinity, runId = 0 }) {
+  const world = new World({
+    ticksLimit: scenario.ticksLimit || Math.max(scenario.ticks, 2000),
+    seed: scenario.seed,
+  });
+  setWorld(world);
+  scenario.setup(world);
+
+  const mod = await import(`${pathToFileURL(bot).href}?run=${runId}`);
+  if (record) mod.setMatchRecording(true);
+  if (mod.setCpuBudget) mod.setCpuBudget(scenario.cpuBudget !== undefined ? scenario.cpuBudget : cpuBudget);
+  const checks = createChecks(scenario.expect, mod);
+  const logs = [];
+  const origLog = console.log;
+  let error = null;
+
+  for (let t = 1; t <= scenario.ticks; t++) {
+    world.beginTick();
+    if (scenario.onTick) scenario.onTick(world);
+
+    console.log = (...args) => {
+      const line = args.join(' ');
+      logs.push(line);
+      if (verbose) origLog(line);
+    };
+    try {
+      world.side = 'player';
+      mod.loop();
+    } catch (e) {
+      error = e;
+    } finally {
+      console.log = origLog;
+    }
+    if (error) break;
+
+    world.side = 'opponent';
+    if (scenario.opponent) scenario.opponent(world);
+    world.resolve();
+    checks.afterTick(world);
+  }
+  if (record) mod.setMatchRecording(false);
+
+  return { name: scenario.name, results: checks.finish(world), error, ticks: world.tick, logs };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let failed = 0;
+
+  for (const [i, file] of opts.files.entries()) {
+    const scenario = (await import(pathToFileURL(file).href)).default;
+    const run = await runScenario(scenario, {
+      bot: opts.bot, verbose: opts.verbose, record: !!opts.record, cpuBudget: opts.cpuBudget, runId: i,
+    });
+    if (opts.record) {
+      mkdirSync(opts.record, { recursive: true });
+      writeFileSync(resolvePath(opts.record, basename(file, '.mjs') + '.log'), run.logs.join('\n') + '\n');
+    }
+
+    console.log(`── ${run.name} (${basename(file)}) — ${run.ticks} ticks`);
+    if (run.error) {
+      failed++;
+      console.log(`   ✗ bot threw at T${run.ticks}: ${run.error.stack}`);
+    }
+    for (const r of run.results) {
+      if (r.status === 'fail') failed++;
+      console.log(`   ${r.status === 'pass' ? '✓' : '✗'} ${r.desc} (T${r.at})`);
+    }
+    const failedRun = run.error || run.results.some(r => r.status === 'fail');
+    if (failedRun && !opts.verbose) {
+      console.log('   last bot output:');
+      for (const line of run.logs.slice(-LOG_TAIL)) console.log(`     ${line}`);
+    }
+  }
+
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+if (process.argv[1] && resolvePath(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  await main();
+}
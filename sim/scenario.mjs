@@ -0,0 +1,85 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIM · Scenario authoring helpers — body shorthand and outcome assertions
+// ═══════════════════════════════════════════════════════════════════════════════
+
+import {
+  MOVE, ATTACK, RANGED_ATTACK, HEAL, CARRY, TOUGH, WORK,
+} from './arena/game/constants.mjs';
+
+const PART_KEYS = {
+  tough: TOUGH, move: MOVE, attack: ATTACK, ranged: RANGED_ATTACK,
+  heal: HEAL, carry: CARRY, work: WORK,
+};
+
+/**
+ * Body array from counts, in a fixed front-to-back order (TOUGH absorbs first).
+ * parts({ tough: 2, attack: 3, move: 5 }) → [tough, tough, attack × 3, move × 5]
+ */
+export function parts(counts) {
+  const body = [];
+  for (const [key, type] of Object.entries(PART_KEYS)) {
+    for (let i = 0; i < (counts[key] || 0); i++) body.push(type);
+  }
+  return body;
+}
+
+/** Passes if `pred(world, bot)` holds on any tick up to and including `tick`. */
+export function by(tick, desc, pred) {
+  return { kind: 'by', tick, desc, pred };
+}
+
+/** Passes only if `pred(world, bot)` holds after every resolved tick. */
+export function always(desc, pred) {
+  return { kind: 'always', desc, pred };
+}
+
+/** Checked once, after the final tick of the scenario. */
+export function atEnd(desc, pred) {
+  return { kind: 'end', desc, pred };
+}
+
+/**
+ * Validate a scenario module's default export and fill in defaults.
+ * Shape: { name, ticks, ticksLimit?, seed?, cpuBudget?, setup(world),
+ *          onTick?(world), opponent?(world), expect: [by|always|atEnd] }
+ * Predicates get the world and the loaded bot module (for debugSnapshot()).
+ */
+export function defineScenario(spec) {
+  if (!spec.name) throw new Error('scenario: name is required');
+  if (typeof spec.setup !== 'function') throw new Error(`scenario ${spec.name}: setup(world) is required`);
+  return {
+    ticks: 200,
+    expect: [],
+    ...spec,
+  };
+}
+
+/** Per-run assertion tracker used by the runner; `bot` is the loaded bot module. */
+export function createChecks(expect, bot) {
+  const state = expect.map(e => ({ ...e, status: 'pending', at: null }));
+
+  return {
+    afterTick(world) {
+      for (const s of state) {
+        if (s.status !== 'pending') continue;
+        if (s.kind === 'by') {
+          if (s.pred(world, bot)) { s.status = 'pass'; s.at = world.tick; }
+          else if (world.tick >= s.tick) { s.status = 'fail'; s.at = world.tick; }
+        } else if (s.kind === 'always' && !s.pred(world, bot)) {
+          s.status = 'fail'; s.at = world.tick;
+        }
+      }
+    },
+
+    finish(world) {
+      for (const s of state) {
+        if (s.status !== 'pending') continue;
+        if (s.kind === 'by') s.status = 'fail';
+        else if (s.kind === 'always') s.status = 'pass';
+        else s.status = s.pred(world, bot) ? 'pass' : 'fail';
+        s.at = world.tick;
+      }
+      return state;
+    },
+  };
+}
@@ -0,0 +1,32 @@
+// Two drops lie crossed: HEAL next to the runner, MOVE next to the medic.
+// Each must end up on the creep that uses it, and neither creep may chase the
+// drop the other one claimed.
+
+import { defineScenario, parts, atEnd } from '../scenario.mjs';
+import { idle } from '../opponents.mjs';
+import { MOVE, HEAL } from '../arena/game/constants.mjs';
+
+const count = (c, type) => c.body.filter(p => p.type === type).length;
+
+export default defineScenario({
+  name: 'body-part drops go to the creep that benefits most',
+  ticks: 30,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+
+    world.addCreep({ x: 20, y: 50, my: true, body: parts({ heal: 2, move: 2 }) });
+    world.addCreep({ x: 24, y: 50, my: true, body: parts({ attack: 1, move: 2 }) });
+    world.addCreep({ x: 90, y: 90, my: false, body: parts({ move: 1 }) });
+    world.addBodyPart({ x: 25, y: 51, type: HEAL });
+    world.addBodyPart({ x: 21, y: 51, type: MOVE });
+  },
+
+  opponent: idle(),
+
+  expect: [
+    atEnd('medic picked up the HEAL drop', w => w.creeps(true).some(c => count(c, HEAL) === 3)),
+    atEnd('runner picked up the MOVE drop', w => w.creeps(true).some(c => count(c, MOVE) === 3)),
+  ],
+});
@@ -0,0 +1,43 @@
+// A wall splits the map with a single 4-wide gap a few tiles east of our flag.
+// The enemy shows up on the far side once the expand phase is over; while
+// consolidating, the army should hold the gap rather than the flag itself,
+// and never push through it toward a blob that is not coming.
+
+import { defineScenario, parts, by, always } from '../scenario.mjs';
+import { idle } from '../opponents.mjs';
+import { TERRAIN_WALL } from '../arena/game/constants.mjs';
+
+const WALL_X = 30;
+const GAP = { x: WALL_X, y1: 48, y2: 51 };
+
+const inGap = c => Math.abs(c.x - GAP.x) <= 2 && c.y >= GAP.y1 - 2 && c.y <= GAP.y2 + 2;
+
+export default defineScenario({
+  name: 'army holds the chokepoint in front of its flag',
+  ticks: 240,
+
+  setup(world) {
+    world.fillTerrain(WALL_X, 0, WALL_X, GAP.y1 - 1, TERRAIN_WALL);
+    world.fillTerrain(WALL_X, GAP.y2 + 1, WALL_X, 99, TERRAIN_WALL);
+    world.addFlag({ x: 24, y: 50, my: true });
+
+    for (let i = 0; i < 2; i++) {
+      world.addCreep({ x: 20 + i, y: 48, my: true, body: parts({ tough: 2, attack: 3, move: 5 }) });
+      world.addCreep({ x: 20 + i, y: 52, my: true, body: parts({ ranged: 2, move: 2 }) });
+    }
+  },
+
+  onTick(world) {
+    if (world.tick !== 150) return;
+    for (let i = 0; i < 3; i++) {
+      world.addCreep({ x: 85, y: 48 + 2 * i, my: false, body: parts({ attack: 2, move: 2 }) });
+    }
+  },
+
+  opponent: idle(),
+
+  expect: [
+    by(220, 'two creeps standing in the gap', w => w.creeps(true).filter(inGap).length >= 2),
+    always('nobody pushes through the gap', w => w.creeps(true).every(c => c.x <= WALL_X + 3)),
+  ],
+});
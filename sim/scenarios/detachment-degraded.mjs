@@ -0,0 +1,20 @@
+// The detachment scenario again, with the CPU governor held to a budget no
+// tick fits in: every cheaper mode switches on — capped path searches and
+// replayed steps included — and the detachment must still take its flag.
+
+import { defineScenario, by } from '../scenario.mjs';
+import detachment from './detachment.mjs';
+
+const DEGRADED = ['lowMaxOps', 'reuseOrders'];
+
+export default defineScenario({
+  ...detachment,
+  name: 'detachment still takes its flag with the CPU governor degrading every tick',
+  cpuBudget: 0.5,
+
+  expect: [
+    ...detachment.expect,
+    by(250, 'path caps and replayed steps were in use', (w, bot) =>
+      DEGRADED.every(mode => (bot.debugSnapshot().diag.cpuDegradations[mode] || 0) > 0)),
+  ],
+});
@@ -0,0 +1,44 @@
+// Two runners and a strong main force against a single weak enemy, with more
+// open flags than runners. The main force can spare a detachment: it should
+// split one off for the flag no runner is racing for and take it while the
+// main force keeps its own objective.
+
+import { defineScenario, parts, by } from '../scenario.mjs';
+import { holdGround } from '../opponents.mjs';
+
+const SPARE_FLAG = { x: 75, y: 85 };
+
+const ownedAt = (w, pos) => w.flags().some(f => f.x === pos.x && f.y === pos.y && f.my === true);
+const isRunner = c => c.body.length === 5;
+
+export default defineScenario({
+  name: 'main force splits a detachment off for an unraced flag',
+  ticks: 250,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+    world.addFlag({ x: 30, y: 20, my: undefined });
+    world.addFlag({ x: 30, y: 80, my: undefined });
+    world.addFlag({ x: 50, y: 50, my: undefined });
+    world.addFlag({ ...SPARE_FLAG, my: undefined });
+
+    world.addCreep({ x: 12, y: 46, my: true, body: parts({ attack: 1, move: 4 }) });
+    world.addCreep({ x: 12, y: 54, my: true, body: parts({ attack: 1, move: 4 }) });
+    for (let i = 0; i < 3; i++) {
+      world.addCreep({ x: 16, y: 48 + 2 * i, my: true, body: parts({ attack: 3, move: 3 }) });
+      world.addCreep({ x: 14, y: 48 + 2 * i, my: true, body: parts({ ranged: 2, move: 2 }) });
+    }
+    for (let i = 0; i < 2; i++) {
+      world.addCreep({ x: 13, y: 49 + 2 * i, my: true, body: parts({ heal: 2, move: 2 }) });
+    }
+    world.addCreep({ x: 60, y: 50, my: false, body: parts({ attack: 1, move: 1 }) });
+  },
+
+  opponent: holdGround(),
+
+  expect: [
+    by(250, 'unraced flag captured by the detachment, not a runner', w => ownedAt(w, SPARE_FLAG) &&
+      w.creeps(true).some(c => c.x === SPARE_FLAG.x && c.y === SPARE_FLAG.y && !isRunner(c))),
+  ],
+});
@@ -0,0 +1,49 @@
+// The enemy sits on its own flags while a fast raider drops in north of our
+// outpost. Our only creep is a runner parked on the waypoint flag nearby:
+// waiting until the raider is close leaves it no time, timing the raider's
+// arrival sends it to stand on the outpost first.
+
+import { defineScenario, parts, always } from '../scenario.mjs';
+import { ATTACK } from '../arena/game/constants.mjs';
+import { findInRange } from '../arena/game/utils.mjs';
+
+const WAYPOINT = { x: 25, y: 35 };
+const OUTPOST = { x: 40, y: 25 };
+const ARRIVAL = 150;
+
+/** Guards hold their flags; the raider walks for the outpost and hits what it touches. */
+function raid(world) {
+  const foes = world.creeps(true);
+  for (const c of world.creeps(false)) {
+    const adj = findInRange(c, foes, 1);
+    if (adj.length > 0 && c.body.some(p => p.type === ATTACK && p.hits > 0)) c.attack(adj[0]);
+    if (c.raider) c.moveTo(OUTPOST);
+  }
+}
+
+export default defineScenario({
+  name: 'early warning sends the runner to block the raided outpost',
+  ticks: 220,
+
+  setup(world) {
+    world.addFlag({ ...WAYPOINT, my: true });
+    world.addFlag({ ...OUTPOST, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+    world.addFlag({ x: 89, y: 90, my: false });
+
+    world.addCreep({ ...WAYPOINT, my: true, body: parts({ tough: 10, move: 10 }) });
+    world.addCreep({ x: 89, y: 50, my: false, body: parts({ attack: 2, move: 1 }) });
+    world.addCreep({ x: 89, y: 90, my: false, body: parts({ attack: 2, move: 1 }) });
+  },
+
+  onTick(world) {
+    if (world.tick !== ARRIVAL) return;
+    world.addCreep({ x: OUTPOST.x, y: 0, my: false, body: parts({ attack: 1, move: 4 }) }).raider = true;
+  },
+
+  opponent: raid,
+
+  expect: [
+    always('outpost stays ours', w => w.flags().some(f => f.x === OUTPOST.x && f.y === OUTPOST.y && f.my === true)),
+  ],
+});
@@ -0,0 +1,55 @@
+// While we consolidate, the enemy's main blob shows up south of our home flag
+// and a pair comes in from the east toward our northern outpost. Holding the
+// flag nearest the blob keeps the army at home; only reading the pair's
+// intent (rushing the outpost) sends it north to meet them.
+
+import { defineScenario, parts, by } from '../scenario.mjs';
+import { ATTACK } from '../arena/game/constants.mjs';
+import { findInRange } from '../arena/game/utils.mjs';
+
+const OUTPOST = { x: 20, y: 30 };
+const ARRIVAL = 150;
+
+/** The blob holds; the raiders walk for the outpost and hit what they touch. */
+function blobAndRaiders(world) {
+  const foes = world.creeps(true);
+  for (const c of world.creeps(false)) {
+    const adj = findInRange(c, foes, 1);
+    if (adj.length > 0 && c.body.some(p => p.type === ATTACK && p.hits > 0)) c.attack(adj[0]);
+    if (c.raider) c.moveTo(OUTPOST);
+  }
+}
+
+export default defineScenario({
+  name: 'army meets a group rushing an owned flag',
+  ticks: 240,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ ...OUTPOST, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+    world.addFlag({ x: 89, y: 90, my: false });
+
+    for (let i = 0; i < 3; i++) {
+      world.addCreep({ x: 14 + i, y: 48, my: true, body: parts({ tough: 2, attack: 3, move: 5 }) });
+      world.addCreep({ x: 14 + i, y: 52, my: true, body: parts({ ranged: 2, move: 2 }) });
+    }
+  },
+
+  onTick(world) {
+    if (world.tick !== ARRIVAL) return;
+    for (let i = 0; i < 4; i++) {
+      world.addCreep({ x: 40 + 2 * i, y: 95, my: false, body: parts({ tough: 4, attack: 2, move: 1 }) });
+    }
+    for (let i = 0; i < 2; i++) {
+      world.addCreep({ x: 60, y: 25 + i, my: false, body: parts({ attack: 2, move: 2 }) }).raider = true;
+    }
+  },
+
+  opponent: blobAndRaiders,
+
+  expect: [
+    by(200, 'army gathers at the threatened outpost', w => findInRange(OUTPOST, w.creeps(true), 4).length >= 3),
+    by(220, 'raiders destroyed', w => w.tick > ARRIVAL && !w.creeps(false).some(c => c.raider)),
+  ],
+});
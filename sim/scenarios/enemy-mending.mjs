@@ -0,0 +1,35 @@
+// A wounded enemy fighter, still well above the hurt ratio, backs off east
+// while its medic heals it. Hits alone don't read as a retreat; the rising
+// hits in the enemy's history do.
+
+import { defineScenario, parts, by } from '../scenario.mjs';
+import { RIGHT } from '../arena/game/constants.mjs';
+
+/** Both enemies walk east; the medic heals the fighter beside it. */
+function mendAndWithdraw(world) {
+  const [fighter, medic] = world.creeps(false);
+  for (const c of [fighter, medic]) c.move(RIGHT);
+  if (fighter && medic) medic.heal(fighter);
+}
+
+export default defineScenario({
+  name: 'a healed enemy backing off reads as retreating',
+  ticks: 40,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+
+    world.addCreep({ x: 12, y: 50, my: true, body: parts({ carry: 1, move: 1 }) });
+    const fighter = world.addCreep({ x: 30, y: 50, my: false, body: parts({ tough: 6, attack: 1, move: 7 }) });
+    fighter.hits = 1100;
+    fighter.body.slice(0, 3).forEach(p => { p.hits = 0; });
+    world.addCreep({ x: 30, y: 51, my: false, body: parts({ heal: 2, move: 2 }) });
+  },
+
+  opponent: mendAndWithdraw,
+
+  expect: [
+    by(30, 'fighter read as retreating to heal', (w, bot) => (bot.debugSnapshot().diag.enemyIntents.retreat || 0) > 0),
+  ],
+});
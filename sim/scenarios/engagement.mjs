@@ -0,0 +1,35 @@
+// A detachment meets a crowd of mostly harmless enemies (TOUGH/MOVE bodies
+// with one weak attacker) far from the rest of the army. Headcount says run;
+// the fight itself is a sure win and must be taken.
+
+import { defineScenario, parts, by, always } from '../scenario.mjs';
+import { holdGround } from '../opponents.mjs';
+
+export default defineScenario({
+  name: 'detachment fights a crowd it can beat despite the headcount',
+  ticks: 200,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+
+    for (let i = 0; i < 2; i++) {
+      world.addCreep({ x: 40 + i, y: 50, my: true, body: parts({ attack: 4, move: 4 }) });
+      world.addCreep({ x: 40 + i, y: 52, my: true, body: parts({ ranged: 3, move: 3 }) });
+    }
+    for (let i = 0; i < 5; i++) {
+      world.addCreep({ x: 12, y: 80 + i, my: true, body: parts({ heal: 1, move: 1 }) });
+    }
+    for (let i = 0; i < 8; i++) {
+      world.addCreep({ x: 48 + (i % 2), y: 44 + 2 * i, my: false, body: parts({ tough: 3, move: 1 }) });
+    }
+    world.addCreep({ x: 50, y: 51, my: false, body: parts({ attack: 1, move: 1 }) });
+  },
+
+  opponent: holdGround(),
+
+  expect: [
+    by(70, 'crowd destroyed', w => w.creeps(false).length === 0),
+    always('no fighter lost', w => w.creeps(true).length === 9),
+  ],
+});
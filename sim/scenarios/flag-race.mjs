@@ -0,0 +1,34 @@
+// A fast enemy scout rushes the neutral flag nearest our runner and will get
+// there first; a second neutral flag further south is ours to win. The runner
+// should skip the lost race and take the southern flag without detouring.
+
+import { defineScenario, parts, by } from '../scenario.mjs';
+import { rushFlags } from '../opponents.mjs';
+
+const LOST_FLAG = { x: 35, y: 40 };
+const WON_FLAG = { x: 30, y: 74 };
+
+const ownedAt = (w, pos) => w.flags().some(f => f.x === pos.x && f.y === pos.y && f.my === true);
+
+export default defineScenario({
+  name: 'runner skips a flag race it would lose',
+  ticks: 80,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+    world.addFlag({ ...LOST_FLAG, my: undefined });
+    world.addFlag({ ...WON_FLAG, my: undefined });
+
+    world.addCreep({ x: 14, y: 50, my: true, body: parts({ attack: 1, move: 4 }) });
+    world.addCreep({ x: 12, y: 48, my: true, body: parts({ ranged: 2, move: 2 }) });
+    world.addCreep({ x: 12, y: 52, my: true, body: parts({ heal: 2, move: 2 }) });
+    world.addCreep({ x: 50, y: 40, my: false, body: parts({ attack: 1, move: 2 }) });
+  },
+
+  opponent: rushFlags(),
+
+  expect: [
+    by(30, 'southern flag captured without a detour', w => ownedAt(w, WON_FLAG)),
+  ],
+});
@@ -0,0 +1,55 @@
+// Opening race on an open map against a passive enemy: the runners should
+// take the neutral flag nearest our start before the expand phase ends.
+
+import { defineScenario, parts, by, always } from '../scenario.mjs';
+import { idle } from '../opponents.mjs';
+import { TERRAIN_WALL, TERRAIN_SWAMP } from '../arena/game/constants.mjs';
+
+const NEAREST_NEUTRAL = { x: 30, y: 30 };
+
+export default defineScenario({
+  name: 'runners capture the nearest neutral flag before tick 150',
+  ticks: 150,
+
+  setup(world) {
+    world.fillTerrain(0, 0, 99, 0, TERRAIN_WALL);
+    world.fillTerrain(0, 99, 99, 99, TERRAIN_WALL);
+    world.fillTerrain(0, 0, 0, 99, TERRAIN_WALL);
+    world.fillTerrain(99, 0, 99, 99, TERRAIN_WALL);
+    world.fillTerrain(20, 38, 24, 62, TERRAIN_SWAMP);
+    world.fillTerrain(48, 20, 52, 40, TERRAIN_WALL);
+
+    world.addFlag({ x: 8, y: 50, my: true });
+    world.addFlag({ x: 91, y: 50, my: false });
+    world.addFlag({ ...NEAREST_NEUTRAL, my: undefined });
+    world.addFlag({ x: 30, y: 72, my: undefined });
+    world.addFlag({ x: 70, y: 28, my: undefined });
+    world.addFlag({ x: 70, y: 70, my: undefined });
+
+    world.addTower({ x: 10, y: 46, my: true, energy: 10 });
+    world.addContainer({ x: 12, y: 46, energy: 500 });
+
+    const mine = [
+      parts({ attack: 1, move: 4 }),
+      parts({ attack: 1, move: 4 }),
+      parts({ tough: 2, attack: 3, move: 3 }),
+      parts({ tough: 2, attack: 3, move: 3 }),
+      parts({ ranged: 2, move: 2 }),
+      parts({ ranged: 2, move: 2 }),
+      parts({ heal: 2, move: 2 }),
+      parts({ carry: 1, attack: 1, move: 2 }),
+    ];
+    mine.forEach((body, i) => world.addCreep({ x: 10 + (i % 4), y: 48 + Math.floor(i / 4) * 2, my: true, body }));
+    for (let i = 0; i < 4; i++) {
+      world.addCreep({ x: 88 + i, y: 50, my: false, body: parts({ attack: 2, move: 2 }) });
+    }
+  },
+
+  opponent: idle(),
+
+  expect: [
+    by(150, 'nearest neutral flag captured',
+      w => w.flags().some(f => f.x === NEAREST_NEUTRAL.x && f.y === NEAREST_NEUTRAL.y && f.my === true)),
+    always('no creeps lost against a passive enemy', w => w.creeps(true).length === 8),
+  ],
+});
@@ -0,0 +1,41 @@
+// Two enemies hold their ground in front of us with about the same hits: a
+// melee tank that hits three times as hard but hides its ATTACK parts behind
+// ten TOUGH, and a ranged attacker whose weapons sit in front of its MOVE.
+// Per hit point the tank looks like the better kill, but the attacker goes
+// quiet after a few volleys while the tank keeps swinging until its TOUGH is
+// gone; focus fire should silence the attacker first.
+
+import { defineScenario, parts, by } from '../scenario.mjs';
+import { holdGround } from '../opponents.mjs';
+import { TOUGH, ATTACK, RANGED_ATTACK, MOVE } from '../arena/game/constants.mjs';
+
+/** Body in the order given — parts() would put MOVE ahead of the weapons. */
+const ordered = (...groups) => groups.flatMap(([type, n]) => Array(n).fill(type));
+const armed = (creep, type) => creep.body.some(p => p.type === type && p.hits > 0);
+
+export default defineScenario({
+  name: 'focus fire silences the attacker before the armoured tank',
+  ticks: 30,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+
+    world.addCreep({ x: 40, y: 50, my: true, body: parts({ ranged: 3, move: 3 }) });
+    world.addCreep({ x: 40, y: 52, my: true, body: parts({ ranged: 3, move: 3 }) });
+    world.addCreep({ x: 40, y: 54, my: true, body: parts({ ranged: 3, move: 3 }) });
+    world.addCreep({ x: 41, y: 51, my: true, body: parts({ attack: 3, move: 3 }) });
+
+    world.addCreep({ x: 46, y: 50, my: false, body: ordered([TOUGH, 10], [ATTACK, 2], [MOVE, 1]) }).tank = true;
+    world.addCreep({ x: 46, y: 52, my: false, body: ordered([RANGED_ATTACK, 2], [MOVE, 10]) }).attacker = true;
+  },
+
+  opponent: holdGround(),
+
+  expect: [
+    by(20, 'attacker silenced while the tank still swings', w => {
+      const [tank, attacker] = [w.creeps(false).find(c => c.tank), w.creeps(false).find(c => c.attacker)];
+      return tank && armed(tank, ATTACK) && (!attacker || !armed(attacker, RANGED_ATTACK));
+    }),
+  ],
+});
@@ -0,0 +1,43 @@
+// Two rangers start ahead of their tank on the way to a line of slow enemies
+// that hold their ground. Their slots on the threat axis are behind the tank:
+// once it closes in, no ranger stands nearer the enemy than the tank.
+
+import { defineScenario, parts, by, always } from '../scenario.mjs';
+import { holdGround } from '../opponents.mjs';
+import { RANGED_ATTACK } from '../arena/game/constants.mjs';
+
+const range = (a, b) => Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+const isTank = c => c.body.length === 12;
+const isRanger = c => c.body.some(p => p.type === RANGED_ATTACK);
+const nearest = (c, list) => Math.min(...list.map(e => range(c, e)));
+
+export default defineScenario({
+  name: 'rangers fall back into their slots behind the tank',
+  ticks: 120,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+
+    world.addCreep({ x: 3, y: 46, my: true, body: parts({ attack: 1, move: 4 }) });
+    world.addCreep({ x: 3, y: 54, my: true, body: parts({ attack: 1, move: 4 }) });
+    world.addCreep({ x: 20, y: 50, my: true, body: parts({ tough: 4, attack: 4, move: 4 }) });
+    world.addCreep({ x: 24, y: 47, my: true, body: parts({ ranged: 2, move: 2 }) });
+    world.addCreep({ x: 24, y: 53, my: true, body: parts({ ranged: 2, move: 2 }) });
+    for (let i = 0; i < 3; i++) {
+      world.addCreep({ x: 34, y: 48 + 2 * i, my: false, body: parts({ tough: 4, attack: 1, move: 1 }) });
+    }
+  },
+
+  opponent: holdGround(),
+
+  expect: [
+    always('no ranger nearer the enemy than the closing tank', w => {
+      const foes = w.creeps(false);
+      const tank = w.creeps(true).find(isTank);
+      if (!tank || foes.length === 0 || nearest(tank, foes) > 7) return true;
+      return w.creeps(true).filter(isRanger).every(c => nearest(c, foes) >= nearest(tank, foes));
+    }),
+    by(120, 'enemy line destroyed', w => w.creeps(false).length === 0),
+  ],
+});
@@ -0,0 +1,51 @@
+// A tank with two medics and two rangers walks into a line of slow enemies
+// that hold their ground. Laid out on the threat axis, the medics fill the row
+// right behind the tank: neither ever stands nearer the enemy than the tank
+// while the fight is on, and both end up adjacent to it.
+
+import { defineScenario, parts, by, always } from '../scenario.mjs';
+import { holdGround } from '../opponents.mjs';
+import { HEAL } from '../arena/game/constants.mjs';
+
+const range = (a, b) => Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+const isTank = c => c.body.length === 12;
+const isMedic = c => c.body.some(p => p.type === HEAL);
+const nearest = (c, list) => Math.min(...list.map(e => range(c, e)));
+
+export default defineScenario({
+  name: 'supporters stay behind the tank on the threat axis',
+  ticks: 150,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+
+    world.addCreep({ x: 12, y: 46, my: true, body: parts({ attack: 1, move: 4 }) });
+    world.addCreep({ x: 12, y: 54, my: true, body: parts({ attack: 1, move: 4 }) });
+    world.addCreep({ x: 20, y: 50, my: true, body: parts({ tough: 4, attack: 4, move: 4 }) });
+    for (let i = 0; i < 2; i++) {
+      world.addCreep({ x: 18, y: 49 + 2 * i, my: true, body: parts({ heal: 2, move: 2 }) });
+      world.addCreep({ x: 17, y: 49 + 2 * i, my: true, body: parts({ ranged: 2, move: 2 }) });
+    }
+    for (let i = 0; i < 3; i++) {
+      world.addCreep({ x: 34, y: 48 + 2 * i, my: false, body: parts({ tough: 4, attack: 1, move: 1 }) });
+    }
+  },
+
+  opponent: holdGround(),
+
+  expect: [
+    always('no medic nearer the enemy than the tank', w => {
+      const foes = w.creeps(false);
+      const tank = w.creeps(true).find(isTank);
+      if (!tank || foes.length === 0 || nearest(tank, foes) > 8) return true;
+      return w.creeps(true).filter(isMedic).every(c => nearest(c, foes) >= nearest(tank, foes));
+    }),
+    by(40, 'both medics adjacent to the tank in contact', w => {
+      const tank = w.creeps(true).find(isTank);
+      return !!tank && nearest(tank, w.creeps(false)) <= 3 &&
+        w.creeps(true).filter(isMedic).every(c => range(c, tank) === 1);
+    }),
+    by(150, 'enemy line destroyed', w => w.creeps(false).length === 0),
+  ],
+});
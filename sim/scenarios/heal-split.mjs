@@ -0,0 +1,49 @@
+// Two medics stand beside our vanguard, which is only scratched, while a
+// ranger two tiles away is nearly dead. The heal solver should send one
+// medic's heal to the dying ranger and leave the other on the vanguard:
+// both patients gain hits on the first tick, so no patient was shared.
+
+import { defineScenario, parts, by } from '../scenario.mjs';
+import { idle } from '../opponents.mjs';
+
+const SCRATCHED = { x: 30, y: 50 };
+const DYING = { x: 30, y: 53 };
+
+const tagged = (w, tag) => w.creeps(true).find(c => c[tag]);
+
+/** Knock `hits` off the front of a creep's body, the way damage lands. */
+function wound(creep, hits) {
+  creep.hits -= hits;
+  for (const p of creep.body) {
+    const taken = Math.min(p.hits, hits);
+    p.hits -= taken;
+    hits -= taken;
+  }
+}
+
+export default defineScenario({
+  name: 'medics split between a scratched vanguard and a dying ranger',
+  ticks: 5,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+
+    const vanguard = world.addCreep({ ...SCRATCHED, my: true, body: parts({ attack: 3, move: 3 }) });
+    const ranger = world.addCreep({ ...DYING, my: true, body: parts({ ranged: 2, move: 2 }) });
+    wound(vanguard, 60);
+    wound(ranger, 370);
+    vanguard.scratched = true;
+    ranger.dying = true;
+    world.addCreep({ x: 29, y: 51, my: true, body: parts({ heal: 4, move: 4 }) });
+    world.addCreep({ x: 31, y: 51, my: true, body: parts({ heal: 4, move: 4 }) });
+    world.addCreep({ x: 95, y: 95, my: false, body: parts({ attack: 1, move: 1 }) });
+  },
+
+  opponent: idle(),
+
+  expect: [
+    by(1, 'dying ranger healed', w => tagged(w, 'dying') && tagged(w, 'dying').hits > 30),
+    by(1, 'vanguard healed by the other medic', w => tagged(w, 'scratched') && tagged(w, 'scratched').hits > 540),
+  ],
+});
@@ -0,0 +1,51 @@
+// The enemy tower next to the small container is charged for two shots and
+// fires at whatever comes in range. Our carriers are tough enough to take
+// both: one should still drain the container — the danger is worth starving
+// the tower — and every carrier should live through it.
+
+import { defineScenario, parts, by, always } from '../scenario.mjs';
+import { RESOURCE_ENERGY } from '../arena/game/constants.mjs';
+import { findClosestByRange, getRange } from '../arena/game/utils.mjs';
+
+const HOME_TOWER = { x: 20, y: 50 };
+const ENEMY_TOWER = { x: 40, y: 50 };
+const DENY_CONTAINER = { x: 36, y: 50 };
+const TOWER_RANGE = 20;
+
+const energyAt = (w, pos) => {
+  const obj = [...w.objects.values()].find(o => o.exists && o.x === pos.x && o.y === pos.y && o.store);
+  return obj ? obj.store.getUsedCapacity(RESOURCE_ENERGY) : 0;
+};
+
+/** The enemy tower shoots the nearest of our creeps in range whenever it can. */
+function towerFire(world) {
+  const tower = [...world.objects.values()].find(o => o.exists && o.x === ENEMY_TOWER.x && o.y === ENEMY_TOWER.y);
+  const target = findClosestByRange(tower, world.creeps(true));
+  if (target && getRange(tower, target) <= TOWER_RANGE) tower.attack(target);
+}
+
+export default defineScenario({
+  name: 'carriers drain a container under a charged enemy tower',
+  ticks: 150,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+    world.addTower({ ...HOME_TOWER, my: true, energy: 0, capacity: 600 });
+    world.addTower({ ...ENEMY_TOWER, my: false, energy: 20, capacity: 600 });
+    world.addContainer({ x: 24, y: 54, energy: 1000 });
+    world.addContainer({ ...DENY_CONTAINER, energy: 100 });
+
+    for (let i = 0; i < 3; i++) {
+      world.addCreep({ x: 22 + i, y: 52, my: true, body: parts({ tough: 14, carry: 2, move: 10 }) });
+    }
+    world.addCreep({ x: 95, y: 95, my: false, body: parts({ attack: 1, move: 1 }) });
+  },
+
+  opponent: towerFire,
+
+  expect: [
+    by(100, 'container next to the charged enemy tower drained', w => energyAt(w, DENY_CONTAINER) === 0),
+    always('no carrier lost', w => w.creeps(true).length === 3),
+  ],
+});
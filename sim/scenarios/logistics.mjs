@@ -0,0 +1,41 @@
+// Empty home tower with a big safe container nearby and a small one feeding
+// the (drained) enemy tower: carriers should drain the enemy-side container
+// first and then fill our tower with several trips in parallel.
+
+import { defineScenario, parts, by } from '../scenario.mjs';
+import { idle } from '../opponents.mjs';
+import { RESOURCE_ENERGY } from '../arena/game/constants.mjs';
+
+const HOME_TOWER = { x: 20, y: 50 };
+const DENY_CONTAINER = { x: 36, y: 50 };
+
+const energyAt = (w, pos) => {
+  const obj = [...w.objects.values()].find(o => o.exists && o.x === pos.x && o.y === pos.y && o.store);
+  return obj ? obj.store.getUsedCapacity(RESOURCE_ENERGY) : 0;
+};
+
+export default defineScenario({
+  name: 'carriers deny the enemy container and fill the home tower',
+  ticks: 150,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+    world.addTower({ ...HOME_TOWER, my: true, energy: 0, capacity: 600 });
+    world.addTower({ x: 40, y: 50, my: false, energy: 0, capacity: 600 });
+    world.addContainer({ x: 24, y: 54, energy: 1000 });
+    world.addContainer({ ...DENY_CONTAINER, energy: 100 });
+
+    for (let i = 0; i < 3; i++) {
+      world.addCreep({ x: 22 + i, y: 52, my: true, body: parts({ carry: 2, move: 2 }) });
+    }
+    world.addCreep({ x: 95, y: 95, my: false, body: parts({ attack: 1, move: 1 }) });
+  },
+
+  opponent: idle(),
+
+  expect: [
+    by(60, 'container next to the enemy tower drained', w => energyAt(w, DENY_CONTAINER) === 0),
+    by(120, 'home tower charged to 80%', w => energyAt(w, HOME_TOWER) >= 480),
+  ],
+});
@@ -0,0 +1,41 @@
+// Our charged tower and three rangers open fire on two enemies standing in
+// range: one nearly dead, one fresh. The tower's shot alone kills the first,
+// so the rangers' volleys that same tick should all land on the second.
+
+import { defineScenario, parts, by } from '../scenario.mjs';
+import { idle } from '../opponents.mjs';
+
+const WEAK = { x: 26, y: 50 };
+const FRESH = { x: 26, y: 52 };
+
+const enemyAt = (w, pos) => w.creeps(false).find(c => c.x === pos.x && c.y === pos.y);
+
+export default defineScenario({
+  name: 'follow-up shots skip a kill the tower already secured',
+  ticks: 5,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+    world.addTower({ x: 20, y: 50, my: true, energy: 600, capacity: 600 });
+
+    for (let i = 0; i < 3; i++) {
+      world.addCreep({ x: 23, y: 49 + 2 * i, my: true, body: parts({ ranged: 2, move: 2 }) });
+    }
+    const weak = world.addCreep({ ...WEAK, my: false, body: parts({ attack: 1, move: 1 }) });
+    weak.hits = 50;
+    weak.body[0].hits = 0;
+    weak.body[1].hits = 50;
+    world.addCreep({ ...FRESH, my: false, body: parts({ attack: 1, move: 1 }) });
+  },
+
+  opponent: idle(),
+
+  expect: [
+    by(1, 'weak enemy killed and the fresh one hit by every ranger on the same tick', w => {
+      const fresh = enemyAt(w, FRESH);
+      return !enemyAt(w, WEAK) && fresh && fresh.hitsMax - fresh.hits >= 3 * 2 * 10;
+    }),
+    by(1, 'overkill avoided is reported', (w, bot) => bot.debugSnapshot().diag.overkillAvoided > 0),
+  ],
+});
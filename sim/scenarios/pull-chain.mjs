@@ -0,0 +1,35 @@
+// A heavy vanguard (4 ticks per tile alone) marches on a distant flag next to
+// a MOVE-heavy ranger. Towed, it covers the ground in about half the time;
+// the chain must break once an enemy comes within engagement range.
+
+import { defineScenario, parts, by } from '../scenario.mjs';
+import { idle } from '../opponents.mjs';
+
+const isHeavy = c => c.body.length === 10;
+
+export default defineScenario({
+  name: 'fast creeps tow heavy vanguards to the front',
+  ticks: 120,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+    world.addFlag({ x: 50, y: 50, my: undefined });
+    world.addFlag({ x: 60, y: 20, my: undefined });
+    world.addFlag({ x: 60, y: 80, my: undefined });
+
+    world.addCreep({ x: 12, y: 48, my: true, body: parts({ attack: 1, move: 4 }) });
+    world.addCreep({ x: 12, y: 52, my: true, body: parts({ attack: 1, move: 4 }) });
+    world.addCreep({ x: 14, y: 50, my: true, body: parts({ tough: 4, attack: 4, move: 2 }) });
+    world.addCreep({ x: 13, y: 50, my: true, body: parts({ ranged: 1, move: 5 }) });
+    world.addCreep({ x: 45, y: 56, my: false, body: parts({ tough: 5, move: 1 }) });
+  },
+
+  opponent: idle(),
+
+  expect: [
+    by(70, 'heavy vanguard reaches mid-map', w => w.creeps(true).some(c => isHeavy(c) && c.x >= 40)),
+    by(120, 'heavy vanguard walks into melee on its own', w => w.creeps(true).some(c =>
+      isHeavy(c) && w.creeps(false).some(e => Math.max(Math.abs(e.x - c.x), Math.abs(e.y - c.y)) <= 1))),
+  ],
+});
@@ -0,0 +1,38 @@
+// A fast raider runs straight across the front of a slow, heavy vanguard.
+// Chasing its current tile trails behind it; only stepping to where it will
+// be when the vanguard arrives puts the two side by side.
+
+import { defineScenario, parts, by } from '../scenario.mjs';
+import { LEFT } from '../arena/game/constants.mjs';
+
+const range = (a, b) => Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+
+/** The guard holds the enemy flag; the raider keeps running west along its row. */
+function raid(world) {
+  for (const c of world.creeps(false)) if (c.raider) c.move(LEFT);
+}
+
+export default defineScenario({
+  name: 'heavy vanguard intercepts a raider crossing its front',
+  ticks: 40,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+
+    world.addCreep({ x: 3, y: 46, my: true, body: parts({ move: 4 }) });
+    world.addCreep({ x: 3, y: 54, my: true, body: parts({ move: 4 }) });
+    world.addCreep({ x: 30, y: 45, my: true, body: parts({ attack: 5, move: 2 }) });
+    world.addCreep({ x: 38, y: 40, my: false, body: parts({ tough: 4, move: 4 }) }).raider = true;
+    world.addCreep({ x: 89, y: 50, my: false, body: parts({ attack: 2, move: 1 }) });
+  },
+
+  opponent: raid,
+
+  expect: [
+    by(20, 'vanguard meets the raider', w => {
+      const raider = w.creeps(false).find(c => c.raider);
+      return !raider || w.creeps(true).some(c => c.body.length === 7 && range(c, raider) <= 1);
+    }),
+  ],
+});
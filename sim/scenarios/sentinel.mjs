@@ -0,0 +1,50 @@
+// We lead on flags with an outpost far from the army, which is busy with an
+// enemy blob near mid-map. A lone sneaker goes for the outpost; a sentinel
+// left behind must keep it.
+
+import { defineScenario, parts, always } from '../scenario.mjs';
+import { ATTACK, RANGED_ATTACK } from '../arena/game/constants.mjs';
+import { findClosestByRange, findInRange } from '../arena/game/utils.mjs';
+
+const OUTPOST = { x: 30, y: 85 };
+
+/** The blob holds mid-map; the sneaker waits, then runs for the outpost. */
+function blobAndSneaker(world) {
+  const foes = world.creeps(true);
+  for (const c of world.creeps(false)) {
+    const adj = findInRange(c, foes, 1);
+    if (adj.length > 0 && c.body.some(p => p.type === ATTACK && p.hits > 0)) c.attack(adj[0]);
+    const near = findInRange(c, foes, 3);
+    if (near.length > 0 && c.body.some(p => p.type === RANGED_ATTACK && p.hits > 0)) {
+      c.rangedAttack(findClosestByRange(c, near));
+    }
+    if (c.body.length === 3 && world.tick > 40) c.moveTo(OUTPOST);
+  }
+}
+
+export default defineScenario({
+  name: 'a sentinel keeps an outpost flag from a lone sneaker',
+  ticks: 200,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: OUTPOST.x, y: OUTPOST.y, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+
+    for (let i = 0; i < 4; i++) {
+      world.addCreep({ x: 20 + i, y: 48, my: true, body: parts({ tough: 2, attack: 3, move: 5 }) });
+      world.addCreep({ x: 20 + i, y: 52, my: true, body: parts({ ranged: 2, move: 2 }) });
+    }
+    for (let i = 0; i < 4; i++) {
+      world.addCreep({ x: 60, y: 46 + 2 * i, my: false, body: parts({ ranged: 2, tough: 4, move: 1 }) });
+    }
+    world.addCreep({ x: 70, y: 95, my: false, body: parts({ attack: 1, move: 2 }) });
+  },
+
+  opponent: blobAndSneaker,
+
+  expect: [
+    always('outpost flag stays ours', w =>
+      w.flags().some(f => f.x === OUTPOST.x && f.y === OUTPOST.y && f.my === true)),
+  ],
+});
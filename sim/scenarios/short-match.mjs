@@ -0,0 +1,35 @@
+// A 400-tick match: the phase boundaries shrink with arenaInfo.ticksLimit, so
+// the bot still goes expand → consolidate → assault → endgame in order, and
+// the endgame starts where a 2000-tick match's would, scaled (T301).
+
+import { defineScenario, parts, by } from '../scenario.mjs';
+import { holdGround } from '../opponents.mjs';
+
+const EXPECTED = [[1, 'expand'], [31, 'consolidate'], [101, 'assault'], [301, 'endgame']];
+const NAMES = { 1: 'expand', 2: 'consolidate', 3: 'assault', 4: 'endgame' };
+
+const phaseLog = bot => bot.debugSnapshot().diag.phaseEvents.map(e => [e.tick, NAMES[e.to]]);
+
+export default defineScenario({
+  name: 'phases scale to a short match',
+  ticks: 310,
+  ticksLimit: 400,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+    world.addFlag({ x: 50, y: 30, my: undefined });
+
+    world.addCreep({ x: 12, y: 50, my: true, body: parts({ attack: 1, move: 4 }) });
+    world.addCreep({ x: 12, y: 48, my: true, body: parts({ ranged: 2, move: 2 }) });
+    world.addCreep({ x: 12, y: 52, my: true, body: parts({ heal: 2, move: 2 }) });
+    world.addCreep({ x: 89, y: 50, my: false, body: parts({ attack: 1, move: 1 }) });
+  },
+
+  opponent: holdGround(),
+
+  expect: [
+    by(310, 'every phase logged, endgame last at T301',
+      (w, bot) => JSON.stringify(phaseLog(bot)) === JSON.stringify(EXPECTED)),
+  ],
+});
@@ -0,0 +1,49 @@
+// Mid-map brawl against an enemy that charges our closest creep, with body
+// part drops scattered between the armies and a charged tower at home.
+
+import { defineScenario, parts, by, atEnd } from '../scenario.mjs';
+import { brawl } from '../opponents.mjs';
+import { MOVE, ATTACK, HEAL, RANGED_ATTACK } from '../arena/game/constants.mjs';
+
+const DROP_TYPES = [MOVE, ATTACK, HEAL, RANGED_ATTACK];
+
+export default defineScenario({
+  name: 'army wins a brawl against a charging enemy',
+  ticks: 300,
+  seed: 7,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+    world.addFlag({ x: 50, y: 50, my: undefined });
+    world.addTower({ x: 20, y: 50, my: true, energy: 10 });
+    world.addContainer({ x: 20, y: 52, energy: 300 });
+
+    const army = [
+      parts({ tough: 2, attack: 3, move: 4 }),
+      parts({ tough: 2, attack: 3, move: 4 }),
+      parts({ tough: 2, attack: 3, move: 4 }),
+      parts({ ranged: 3, move: 3 }),
+      parts({ ranged: 3, move: 3 }),
+      parts({ heal: 3, move: 3 }),
+      parts({ heal: 3, move: 3 }),
+    ];
+    army.forEach((body, i) => world.addCreep({ x: 22 + (i % 3), y: 48 + Math.floor(i / 3) * 2, my: true, body }));
+    for (let i = 0; i < 5; i++) {
+      world.addCreep({ x: 40, y: 46 + 2 * i, my: false, body: parts({ attack: 2, ranged: 1, move: 3 }) });
+    }
+  },
+
+  onTick(world) {
+    if (world.tick % 25 !== 0) return;
+    const type = DROP_TYPES[Math.floor(world.random() * DROP_TYPES.length)];
+    world.addBodyPart({ x: 28 + Math.floor(world.random() * 10), y: 44 + Math.floor(world.random() * 12), type });
+  },
+
+  opponent: brawl(),
+
+  expect: [
+    by(250, 'enemy army wiped out', w => w.creeps(false).length === 0),
+    atEnd('part of the army survives', w => w.creeps(true).length >= 2),
+  ],
+});
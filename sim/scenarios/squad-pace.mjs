@@ -0,0 +1,39 @@
+// Two army vanguards of different speed (2 and 3 ticks per tile) march on a
+// lone enemy across the map. Walking freely the quicker one pulls ahead within
+// a few dozen ticks; paced, the pair stays within a couple of tiles of each
+// other until contact and arrives together.
+
+import { defineScenario, parts, always, by } from '../scenario.mjs';
+import { idle } from '../opponents.mjs';
+
+const ENEMY = { x: 70, y: 30 };
+const isArmy = c => c.body.length > 6;
+const range = (a, b) => Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+
+export default defineScenario({
+  name: 'army marches at its slowest member\'s pace',
+  ticks: 180,
+
+  setup(world) {
+    world.addFlag({ x: 10, y: 50, my: true });
+    world.addFlag({ x: 89, y: 50, my: false });
+
+    world.addCreep({ x: 12, y: 46, my: true, body: parts({ attack: 1, move: 4 }) });
+    world.addCreep({ x: 12, y: 54, my: true, body: parts({ attack: 1, move: 4 }) });
+    world.addCreep({ x: 14, y: 49, my: true, body: parts({ tough: 2, attack: 3, move: 3 }) });
+    world.addCreep({ x: 14, y: 51, my: true, body: parts({ tough: 4, attack: 3, move: 3 }) });
+    world.addCreep({ ...ENEMY, my: false, body: parts({ tough: 5, move: 1 }) });
+  },
+
+  opponent: idle(),
+
+  expect: [
+    always('army vanguards stay together until contact', w => {
+      const army = w.creeps(true).filter(isArmy);
+      if (army.length < 2 || army.some(c => range(c, ENEMY) <= 8)) return true;
+      return Math.abs(range(army[0], ENEMY) - range(army[1], ENEMY)) <= 3;
+    }),
+    by(180, 'both vanguards arrive at the enemy', w =>
+      w.creeps(true).filter(isArmy).filter(c => range(c, ENEMY) <= 2).length === 2),
+  ],
+});